@@ -191,8 +191,12 @@ contract ClaimableMint is
     ITiny721 itemContract = ITiny721(item);
     itemContract.mint_Qgo(_msgSender(), 1);
 
-    // Update the mapping of on-chain item ID to the supplied off-chain ID.
-    uint256 newId = itemContract.totalSupply();
+    /*
+      Update the mapping of on-chain item ID to the supplied off-chain ID. Item
+      IDs are sequential, so the new ID is the lifetime count of minted items
+      rather than the supply, which burning may reduce.
+    */
+    uint256 newId = itemContract.totalMinted();
     id[newId] = _offchainId;
 
     // Emit an event.
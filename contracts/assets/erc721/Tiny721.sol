@@ -4,6 +4,7 @@ pragma solidity ^0.8.11;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import '@openzeppelin/contracts/token/ERC721/IERC721.sol';
 import '@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol';
+import '@openzeppelin/contracts/token/ERC721/extensions/IERC721Enumerable.sol';
 import '@openzeppelin/contracts/token/ERC721/extensions/IERC721Metadata.sol';
 import '@openzeppelin/contracts/utils/Address.sol';
 import '@openzeppelin/contracts/utils/Strings.sol';
@@ -17,6 +18,7 @@ import '@openzeppelin/contracts/utils/introspection/ERC165.sol';
 error ApprovalCallerNotOwnerNorApproved();
 error ApprovalQueryForNonexistentToken();
 error ApproveToCaller();
+error BurnCallerNotOwnerNorApproved();
 error CapExceeded();
 error MintedQueryForZeroAddress();
 error MintToZeroAddress();
@@ -43,7 +45,7 @@ error URIQueryForNonexistentToken();
 
   Compared to the original `Super721` implementation that this contract forked
   from, this is a very pared-down contract that includes simple delegated
-  minting and transfer locks.
+  minting, burning, and transfer locks.
 
   This contract includes the gas efficiency techniques graciously shared with
   the world in the specific ERC-721 implementation by Chiru Labs that is being
@@ -53,7 +55,7 @@ error URIQueryForNonexistentToken();
   February 8th, 2022.
 */
 contract Tiny721 is
-  ERC165, IERC721, IERC721Metadata, Ownable
+  ERC165, IERC721, IERC721Enumerable, IERC721Metadata, Ownable
 {
   using Address for address;
   using Strings for uint256;
@@ -80,6 +82,22 @@ contract Tiny721 is
   */
   uint256 private nextId = 1;
 
+  /**
+    The total number of tokens that have ever been minted. Burning a token does
+    not reduce this count, so the `cap` limits lifetime mints.
+  */
+  uint256 public totalMinted;
+
+  /// The total number of tokens that have been burnt.
+  uint256 public totalBurned;
+
+  /**
+    A mapping from token IDs to whether or not they have been burnt. A burnt
+    token keeps its entry in `owners` so that the gappy ownership list remains
+    correct for its neighbors.
+  */
+  mapping ( uint256 => bool ) private burned;
+
   /**
     A mapping from token IDs to their holding addresses. If the holding address
     is the zero address, that does not necessarily mean that the token is
@@ -158,17 +176,85 @@ contract Tiny721 is
     bytes4 _interfaceId
   ) public view virtual override(ERC165, IERC165) returns (bool) {
     return (_interfaceId == type(IERC721).interfaceId)
+      || (_interfaceId == type(IERC721Enumerable).interfaceId)
       || (_interfaceId == type(IERC721Metadata).interfaceId)
       || (super.supportsInterface(_interfaceId));
   }
 
   /**
-    Return the total number of this token that have ever been minted.
+    Return the total number of this token that currently exist; that is, the
+    number of tokens minted less the number of tokens burnt.
 
-    @return The total supply of minted tokens.
+    @return The total supply of existing tokens.
   */
-  function totalSupply () public view returns (uint256) {
-    return nextId - 1;
+  function totalSupply () public view override returns (uint256) {
+    return totalMinted - totalBurned;
+  }
+
+  /**
+    Return the ID of the token at position `_index` among all existing tokens.
+    Burnt tokens are skipped, so this function iterates over the token ID space
+    and is intended for off-chain callers.
+
+    @param _index The index of the token to retrieve.
+
+    @return The ID of the token at position `_index`.
+  */
+  function tokenByIndex (
+    uint256 _index
+  ) external view override returns (uint256) {
+    if (_index >= totalSupply()) { revert TokenIndexOutOfBounds(); }
+    uint256 count;
+    unchecked {
+      for (uint256 id = 1; id < nextId; id++) {
+        if (burned[id]) {
+          continue;
+        }
+        if (count == _index) {
+          return id;
+        }
+        count++;
+      }
+    }
+
+    // This point is unreachable given the supply check above.
+    revert TokenIndexOutOfBounds();
+  }
+
+  /**
+    Return the ID of the token at position `_index` among those held by
+    `_owner`. This walks the gappy ownership list in order while skipping burnt
+    tokens, so it is intended for off-chain callers.
+
+    @param _owner The address to retrieve a held token for.
+    @param _index The index of the token among those held by `_owner`.
+
+    @return The ID of the token at position `_index` held by `_owner`.
+  */
+  function tokenOfOwnerByIndex (
+    address _owner,
+    uint256 _index
+  ) external view override returns (uint256) {
+    if (_index >= balances[_owner]) { revert OwnerIndexOutOfBounds(); }
+    uint256 count;
+    address currentOwner;
+    unchecked {
+      for (uint256 id = 1; id < nextId; id++) {
+        if (owners[id] != address(0)) {
+          currentOwner = owners[id];
+        }
+        if (burned[id] || currentOwner != _owner) {
+          continue;
+        }
+        if (count == _index) {
+          return id;
+        }
+        count++;
+      }
+    }
+
+    // This point is unreachable given the balance check above.
+    revert OwnerIndexOutOfBounds();
   }
 
   /**
@@ -228,7 +314,7 @@ contract Tiny721 is
   }
 
   /**
-    Return whether a particular token ID has been minted or not.
+    Return whether a particular token ID has been minted and not burnt.
 
     @param _id The ID of a specific token to check for existence.
 
@@ -237,7 +323,7 @@ contract Tiny721 is
   function _exists (
     uint256 _id
   ) public view returns (bool) {
-    return _id > 0 && _id < nextId;
+    return _id > 0 && _id < nextId && !burned[_id];
   }
 
   /**
@@ -345,7 +431,8 @@ contract Tiny721 is
     token that is common to both the unsafe `transferFrom` and the
     `safeTransferFrom` variants.
 
-    This function does not support burning tokens and emits a {Transfer} event.
+    This function does not support burning tokens, which is instead handled by
+    `_burn`, and emits a {Transfer} event.
 
     @param _from The address to transfer the token with ID of `_id` from.
     @param _to The address to transfer the token to.
@@ -381,10 +468,9 @@ contract Tiny721 is
 
       /*
         The way the gappy token ownership list is setup, we can tell that
-        `_from` owns the next token ID if it has a zero address owner. This also
-        happens to be what limits an efficient burn implementation given the
-        current setup of this contract. We need to update this spot in the list
-        to mark `_from`'s ownership of this portion of the token range.
+        `_from` owns the next token ID if it has a zero address owner. We need
+        to update this spot in the list to mark `_from`'s ownership of this
+        portion of the token range.
       */
       uint256 nextTokenId = _id + 1;
       if (owners[nextTokenId] == address(0) && _exists(nextTokenId)) {
@@ -512,7 +598,7 @@ contract Tiny721 is
   ) external onlyAdmin {
     if (_recipient == address(0)) { revert MintToZeroAddress(); }
     if (_amount == 0) { revert MintZeroQuantity(); }
-    if (nextId - 1 + _amount > cap) { revert CapExceeded(); }
+    if (totalMinted + _amount > cap) { revert CapExceeded(); }
 
     /**
       Inspired by the Chiru Labs implementation, we use unchecked math here.
@@ -530,13 +616,83 @@ contract Tiny721 is
         updatedIndex++;
       }
       nextId = updatedIndex;
+      totalMinted += _amount;
+    }
+  }
+
+  /**
+    This private helper function burns the token with ID `_id`, removing it from
+    its owner's balance and from the total supply. The burnt token keeps its
+    entry in the gappy ownership list and, like a transfer, marks its previous
+    owner as the owner of the next token ID if that spot was empty. Burning
+    respects transfer locks and emits a {Transfer} event to the zero address.
+
+    @param _id The ID of the token to burn.
+  */
+  function _burn (
+    uint256 _id
+  ) private {
+    address previousOwner = _ownershipOf(_id);
+    if (allTransfersLocked) { revert TransferIsLockedGlobally(); }
+    if (transferLocks[_id]) { revert TransferIsLocked(); }
+
+    // Clear any token approval set by the previous owner.
+    _approve(previousOwner, address(0), _id);
+
+    /*
+      The ownership entry of `_id` is preserved so that later lookups which walk
+      back over it still find a nonzero owner.
+    */
+    unchecked {
+      balances[previousOwner] -= 1;
+      owners[_id] = previousOwner;
+      burned[_id] = true;
+      totalBurned += 1;
+
+      uint256 nextTokenId = _id + 1;
+      if (owners[nextTokenId] == address(0) && _exists(nextTokenId)) {
+        owners[nextTokenId] = previousOwner;
+      }
     }
+
+    // Emit the transfer event.
+    emit Transfer(previousOwner, address(0), _id);
+  }
+
+  /**
+    This function allows the holder of the token with ID `_id`, or an address
+    that the holder has approved, to burn the token. This supports redemption
+    mechanics such as claiming a physical item.
+
+    @param _id The ID of the token to burn.
+  */
+  function burn (
+    uint256 _id
+  ) external {
+    address holder = _ownershipOf(_id);
+    bool isApprovedOrOwner = (_msgSender() == holder)
+      || (isApprovedForAll(holder, _msgSender()))
+      || (getApproved(_id) == _msgSender());
+    if (!isApprovedOrOwner) { revert BurnCallerNotOwnerNorApproved(); }
+    _burn(_id);
+  }
+
+  /**
+    This function allows an administrative caller, such as an item upgrading
+    contract, to burn the token with ID `_id` on behalf of its holder.
+
+    @param _id The ID of the token to burn.
+  */
+  function adminBurn (
+    uint256 _id
+  ) external onlyAdmin {
+    _burn(_id);
   }
 
   /**
     This function allows the original owner of the contract to add or remove
-    other addresses as administrators. Administrators may perform mints and may
-    lock token transfers.
+    other addresses as administrators. Administrators may perform mints, may
+    burn tokens, and may lock token transfers.
 
     @param _newAdmin The new admin to update permissions for.
     @param _isAdmin Whether or not the new admin should be an admin.
@@ -5,7 +5,10 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
+import "../libraries/EIP712.sol";
 import "../interfaces/ITiny721.sol";
 
 /*
@@ -15,17 +18,50 @@ import "../interfaces/ITiny721.sol";
 */
 error CannotEndSaleBeforeItStarts();
 error CannotEndAtHigherPrice();
+error CannotDecayByMoreThanPrice();
+error CannotStepWithoutPriceSteps();
+error CannotOrderPriceStepsOutOfTime();
+error CannotStepToHigherPrice();
+error CannotAcceptZeroAddressToken();
+error CannotPayWithUnacceptedToken();
 error CannotTransferIncorrectAmount();
 error PaymentTransferFailed();
 error CannotVerifyAsWhitelistMember();
 error CannotExceedWhitelistAllowance();
+error CannotExceedWhitelistCap();
+error CannotVerifySignature();
+error CannotUseExpiredSignature();
+error CannotReuseSignatureNonce();
+error CannotCombineUnsortedWhitelists();
+error CannotUpdateNonexistentWhitelist();
+error CannotUpdateStartedWhitelist();
 error CannotBuyZeroItems();
 error CannotBuyFromEndedSale();
+error CannotBuyFromPausedSale();
+error CannotBuyFromCancelledSale();
 error CannotExceedPerTransactionCap();
 error CannotExceedPerCallerCap();
 error CannotExceedTotalCap();
+error CannotAirdropWithMismatchedLengths();
+error CannotExceedReserveCap();
 error CannotUnderpayForMint();
 error RefundTransferFailed();
+error CannotClaimRebateBeforeSettlement();
+error CannotClaimRebateFromCancelledSale();
+error CannotClaimZeroRebate();
+error RebateTransferFailed();
+error CannotSweepOwedRebates();
+error CannotCancelCancelledSale();
+error CannotCancelSettledSale();
+error CannotRefundUncancelledSale();
+error CannotRefundUnpurchasedItems();
+error CannotSweepOwedRefunds();
+error CannotSplitToZeroAddress();
+error CannotSplitToDuplicatePayee();
+error CannotSplitIntoInvalidShares();
+error CannotReleaseZeroPayment();
+error ReleaseTransferFailed();
+error CannotSweepSplitProceeds();
 error SweepingTransferFailed();
 
 /**
@@ -43,7 +79,8 @@ error SweepingTransferFailed();
     2. running potentially multiple whitelisted presales with potentially
        multiple different participants and different prices
     3. selling the item for both ETH and an ERC-20 token during the presale
-    4. converting into a Dutch auction that can sell for ETH only
+    4. converting into a Dutch auction that can sell for ETH or for any of a
+       configured set of ERC-20 tokens
 
   Functionally, this means that the largest change is doing away with the
   concept of pools. The way this contract is designed, there is only ever a
@@ -55,10 +92,55 @@ error SweepingTransferFailed();
   February 11th, 2022.
 */
 contract DropAuctionShop721 is
-  Ownable, ReentrancyGuard
+  EIP712, Ownable, ReentrancyGuard
 {
   using SafeERC20 for IERC20;
 
+  /// A constant hash of the signed purchase operation's signature.
+  bytes32 constant public PURCHASE_TYPEHASH = keccak256(
+    "purchase(address _buyer,uint256 _id,uint256 _allowance,uint256 _price,uint256 _expiry,uint256 _nonce)"
+  );
+
+  /// The denominator of the per-tick decay of an exponential price curve.
+  uint256 private constant BASIS_POINTS = 10000;
+
+  /// The whitelist ID recorded for purchases made in the public sale.
+  uint256 constant public PUBLIC_SALE = type(uint256).max;
+
+  /**
+    This enum specifies the phase of the sale at a particular time.
+
+    @param PreSale No whitelist is active and the public sale has not begun.
+    @param Whitelist At least one whitelist is active.
+    @param Public The public sale Dutch auction is running.
+    @param Ended The public sale has ended or sold out.
+    @param Cancelled The owner has cancelled the sale.
+  */
+  enum SalePhase {
+    PreSale,
+    Whitelist,
+    Public,
+    Ended,
+    Cancelled
+  }
+
+  /**
+    This enum specifies the model by which the public sale Dutch auction price
+    decreases over time.
+
+    @param Linear The price decreases by a fixed `tickAmount` every
+      `tickDuration`.
+    @param Exponential The price decreases every `tickDuration` by `tickAmount`
+      basis points of the price during the previous tick.
+    @param Steps The price follows an explicit list of `priceSteps`, holding at
+      the price of each step until the time of the next.
+  */
+  enum PriceCurve {
+    Linear,
+    Exponential,
+    Steps
+  }
+
   /// The address of the ERC-721 item being sold.
   address public immutable collection;
 
@@ -71,6 +153,12 @@ contract DropAuctionShop721 is
   /// The maximum number of items from the `collection` that may be sold.
   uint256 public immutable totalCap;
 
+  /**
+    The maximum number of items from the `collection` that the owner may mint
+    from the reserve, separately from the `totalCap` of items sold.
+  */
+  uint256 public immutable reserveCap;
+
   /// The maximum number of items that a single address may purchase.
   uint256 public immutable callerCap;
 
@@ -83,23 +171,49 @@ contract DropAuctionShop721 is
   /// The price at which the public sale Dutch auction ends.
   uint256 public immutable endingPrice;
 
+  /// The model by which the public sale Dutch auction price decreases.
+  PriceCurve public immutable curve;
+
   /**
     The length of time wherein if no purchase is made, the price of the auction
-    will decrease by `tickAmount`.
+    will decrease by `tickAmount`. This is ignored by a `Steps` price curve.
   */
   uint256 public immutable tickDuration;
 
   /**
     The amount by which the auction price decreases if there has been no
-    purchase made within `tickDuration` duration.
+    purchase made within `tickDuration` duration. For an `Exponential` price
+    curve, this is the decrease in basis points of the price. This is ignored by
+    a `Steps` price curve.
   */
   uint256 public immutable tickAmount;
 
+  /**
+    Whether or not the public sale Dutch auction settles with rebates. If so,
+    every public sale buyer ultimately pays the clearing price in the asset they
+    paid with: the price in that asset at the time of the final public sale
+    purchase once the sale sells out or ends. Buyers may claim the difference
+    between what they paid and the clearing price.
+  */
+  bool public immutable rebates;
+
+  /**
+    The address permitted to sign purchases from whitelists. If this is the zero
+    address, then signed purchases are disabled.
+  */
+  address public immutable signer;
+
+  /**
+    A mapping from each buyer to a mapping tracking which signed purchase nonces
+    the buyer has used.
+  */
+  mapping ( address => mapping ( uint256 => bool )) public usedNonces;
+
   /**
     The number of whitelists that have been added. This is used for looking up
     specific whitelist details from the `whitelists` mapping.
   */
-  uint256 public immutable whitelistCount;
+  uint256 public whitelistCount;
 
   /**
     This struct is used at the moment of contract construction to specify a
@@ -123,6 +237,12 @@ contract DropAuctionShop721 is
     @param token The address of the token with which purchases in this whitelist
       will be made. If this is the zero address, then this whitelist will
       conduct purchases using ETH.
+    @param sorted Whether `root` is the root of a sorted-pair merkle tree with
+      double-hashed leaves, as produced by OpenZeppelin's `StandardMerkleTree`
+      or by `HashTree` in sorted mode, rather than of an index-ordered
+      `HashTree`.
+    @param cap The maximum number of items that may be sold through this
+      whitelist. If this is zero, then the whitelist has no cap of its own.
   */
   struct CreateWhitelist {
     bytes32 root;
@@ -130,23 +250,225 @@ contract DropAuctionShop721 is
     uint256 endTime;
     uint256 price;
     address token;
+    bool sorted;
+    uint256 cap;
+  }
+
+  /**
+    This struct specifies a single step of a `Steps` price curve.
+
+    @param timestamp The time from which this step's price applies.
+    @param price The price of the item from `timestamp` until the time of the
+      next step.
+  */
+  struct PriceStep {
+    uint256 timestamp;
+    uint256 price;
+  }
+
+  /**
+    The steps of a `Steps` price curve, in order of time. The price of the item
+    is the `startingPrice` until the time of the first step.
+  */
+  PriceStep[] public priceSteps;
+
+  /**
+    This struct specifies an ERC-20 token that the public sale accepts as
+    payment, along with the Dutch auction prices of the item in that token. The
+    price in the token follows the shop's `curve` and `tickDuration`.
+
+    @param token The address of the accepted ERC-20 token.
+    @param startingPrice The price in `token` at which the public sale begins.
+    @param endingPrice The price in `token` at which the public sale ends.
+    @param tickAmount The amount by which the price in `token` decreases every
+      `tickDuration`; in basis points of the price for an `Exponential` curve.
+    @param priceSteps The steps of the price in `token` for a `Steps` curve, in
+      order of time.
+  */
+  struct PaymentToken {
+    address token;
+    uint256 startingPrice;
+    uint256 endingPrice;
+    uint256 tickAmount;
+    PriceStep[] priceSteps;
+  }
+
+  /**
+    A mapping to look up the public sale prices of an accepted ERC-20 token. A
+    token is accepted if its entry holds its own address. The price steps of
+    each token may be found with `tokenPriceAt`.
+  */
+  mapping ( address => PaymentToken ) public paymentTokens;
+
+  /**
+    This struct specifies a payee of the shop's proceeds and the share of the
+    proceeds that they may release.
+
+    @param account The address of the payee.
+    @param share The payee's share of the proceeds, in basis points.
+  */
+  struct Payee {
+    address account;
+    uint256 share;
   }
 
+  /// The addresses of every payee of the shop's proceeds.
+  address[] public payees;
+
+  /**
+    A mapping to look up each payee's share of the proceeds, in basis points.
+    The same shares apply to Ether and to every ERC-20 token.
+  */
+  mapping ( address => uint256 ) public shares;
+
+  /**
+    A mapping to track the total amount of each asset released to payees. The
+    zero address represents Ether.
+  */
+  mapping ( address => uint256 ) public totalReleased;
+
+  /**
+    A mapping from each asset to a mapping tracking the amount of that asset
+    released to each payee. The zero address represents Ether.
+  */
+  mapping ( address => mapping ( address => uint256 )) public released;
+
   /// A mapping to look up whitelist details for a given whitelist ID.
   mapping ( uint256 => CreateWhitelist ) public whitelists;
 
-  /// A mapping to track the number of items purchases by each caller.
+  /**
+    The root of a sorted merkle tree of memberships across every whitelist, so
+    that a caller on several whitelists may prove every membership with a
+    single multiproof. Each leaf is the double hash of the ABI-encoded key and
+    allowance of a membership, where the key is the hash of the ABI-encoded
+    caller and whitelist ID; see `HashTree.getWhitelistKey`. If this is zero,
+    then multiproof purchases are disabled.
+  */
+  bytes32 public multiWhitelistRoot;
+
+  /**
+    A mapping to track the total number of items purchased by each caller across
+    every whitelist and the public sale.
+  */
   mapping ( address => uint256 ) public purchaseCounts;
 
+  /**
+    A mapping from whitelist ID to a mapping tracking the number of items
+    purchased by each caller through that whitelist.
+  */
+  mapping ( uint256 => mapping ( address => uint256 )) public
+    whitelistPurchases;
+
+  /// A mapping to track the number of items sold through each whitelist.
+  mapping ( uint256 => uint256 ) public whitelistSold;
+
   /// The total number of items sold by the shop.
   uint256 public sold;
 
+  /// The total number of items minted by the owner from the reserve.
+  uint256 public reserveMinted;
+
+  /**
+    A mapping from each payment asset to a mapping tracking the total amount of
+    that asset paid by each caller during the public sale, less any rebates
+    already claimed. This is only tracked when the shop settles with `rebates`.
+    The zero address represents Ether.
+  */
+  mapping ( address => mapping ( address => uint256 )) public publicPaid;
+
+  /**
+    A mapping from each payment asset to a mapping tracking the number of items
+    purchased by each caller with that asset during the public sale with
+    `rebates`. The zero address represents Ether.
+  */
+  mapping ( address => mapping ( address => uint256 )) public publicItems;
+
+  /**
+    A mapping to track the number of items purchased by each caller during the
+    public sale. These purchases are limited by the `callerCap`.
+  */
+  mapping ( address => uint256 ) public publicPurchases;
+
+  /**
+    A mapping to track the number of items sold for each payment asset during
+    the public sale with `rebates`. The zero address represents Ether.
+  */
+  mapping ( address => uint256 ) public publicSold;
+
+  /**
+    A mapping to track the total amount of each payment asset paid during the
+    public sale with `rebates`, less any rebates already claimed. The zero
+    address represents Ether.
+  */
+  mapping ( address => uint256 ) public publicRevenue;
+
+  /**
+    The time of the most recent public sale purchase with `rebates`. Once the
+    sale has sold out or ended, the price of each asset at this time is its
+    clearing price.
+  */
+  uint256 public lastPurchaseTime;
+
+  /// Whether or not the owner has paused purchases from the shop.
+  bool public paused;
+
+  /**
+    Whether or not the owner has cancelled the sale. A cancelled sale may never
+    resume, and its buyers may reclaim their payments as refunds.
+  */
+  bool public cancelled;
+
+  /**
+    A mapping from each payment asset to a mapping tracking the amount of that
+    asset paid by each caller, less any rebates or refunds already claimed. The
+    zero address represents Ether.
+  */
+  mapping ( address => mapping ( address => uint256 )) public payments;
+
+  /**
+    A mapping from each payment asset to a mapping tracking the number of items
+    each caller purchased with that asset and has not yet been refunded for.
+  */
+  mapping ( address => mapping ( address => uint256 )) public paymentItems;
+
+  /**
+    A mapping to track the total amount of each payment asset paid by every
+    caller, less any rebates or refunds already claimed. These are the proceeds
+    of the sale that are split between any payees.
+  */
+  mapping ( address => uint256 ) public totalPayments;
+
+  /**
+    This struct records the items minted to a buyer by a single payment, so that
+    only those items may be returned for a refund of the payment.
+
+    @param buyer The buyer to whom the items were minted.
+    @param token The asset paid; the zero address represents Ether.
+    @param amount The number of items minted, with consecutive token IDs.
+  */
+  struct ItemPayment {
+    address buyer;
+    address token;
+    uint256 amount;
+  }
+
+  /**
+    A mapping from the first token ID minted by each payment to the record of
+    that payment. As with the ownership of a `Tiny721`, the payment for any
+    other item is found at the nearest token ID before it with a record.
+  */
+  mapping ( uint256 => ItemPayment ) public itemPayments;
+
+  /// A mapping to track which token IDs have been returned for refunds.
+  mapping ( uint256 => bool ) public refundedItems;
+
   /**
     This struct is used at the moment of NFT purchase to let a caller submit
     proof that they are actually entitled to a position on a presale whitelist.
 
     @param id The ID of the whitelist to check proof against.
     @param index The element index in the original array for proof verification.
+      This is ignored by whitelists with a sorted merkle tree.
     @param allowance The quantity available to the caller for presale purchase.
     @param proof A submitted proof that the user is on the whitelist.
   */
@@ -157,6 +479,25 @@ contract DropAuctionShop721 is
     bytes32[] proof;
   }
 
+  /**
+    This struct is used at the moment of NFT purchase to let a caller prove
+    their membership of several whitelists with one multiproof against the
+    `multiWhitelistRoot`.
+
+    @param ids The IDs of the whitelists, in the order of the leaves of the
+      multiproof.
+    @param allowances The caller's allowance on each whitelist of `ids`.
+    @param proof The sibling hashes of the multiproof.
+    @param proofFlags Whether each hashing step of the multiproof consumes a
+      known hash (true) or the next element of `proof` (false).
+  */
+  struct WhitelistMultiProof {
+    uint256[] ids;
+    uint256[] allowances;
+    bytes32[] proof;
+    bool[] proofFlags;
+  }
+
   /*
     A struct used to pass shop configuration details upon contract construction.
 
@@ -171,11 +512,27 @@ contract DropAuctionShop721 is
     @param _startingPrice The price at which the public sale begins.
     @param _endingPrice The price at which the public sale ends; beyond this
       price there is no decrease in price.
+    @param _curve The model by which the public sale price decreases.
     @param _tickDuration The duration of a single auction tick. If there are no
       purchases made for at least this long, then the selling price of the item
       will decrease by `_tickAmount`.
     @param _tickAmount The amount by which the price of the item decreases if
-      there have been no purchases for the duration of `_tickDuration`.
+      there have been no purchases for the duration of `_tickDuration`; in basis
+      points of the price for an `Exponential` curve.
+    @param _priceSteps The steps of a `Steps` price curve, in order of time. The
+      price of each step may not exceed the price of the step before it.
+    @param _rebates Whether or not the public sale settles with rebates down to
+      its clearing price.
+    @param _paymentTokens The ERC-20 tokens, besides Ether, that the public sale
+      accepts as payment. Each token follows the shop's price curve with its own
+      prices, and settles with `rebates` in the token.
+    @param _payees The payees between whom the shop's proceeds are split. If
+      there are any payees, their shares must total 10,000 basis points and the
+      owner may no longer sweep proceeds.
+    @param _signer The address permitted to sign purchases from whitelists, or
+      the zero address to disable signed purchases.
+    @param _reserveCap The maximum number of items that the owner may mint from
+      the reserve.
   */
   struct ShopConfiguration {
     uint256 startTime;
@@ -185,10 +542,217 @@ contract DropAuctionShop721 is
     uint256 transactionCap;
     uint256 startingPrice;
     uint256 endingPrice;
+    PriceCurve curve;
     uint256 tickDuration;
     uint256 tickAmount;
+    PriceStep[] priceSteps;
+    bool rebates;
+    PaymentToken[] paymentTokens;
+    Payee[] payees;
+    address signer;
+    uint256 reserveCap;
+  }
+
+  /**
+    This struct is returned by `saleStatus` to summarize the state of the sale
+    for a particular caller in a single call.
+
+    @param phase The current phase of the sale.
+    @param activeWhitelists The IDs of every whitelist that is currently active.
+    @param price The current public sale price of the item in Ether.
+    @param nextPriceTime The time at which the public sale price next drops, or
+      zero if it will not drop again.
+    @param sold The total number of items sold.
+    @param remaining The number of items that may still be sold.
+    @param remainingReserve The number of items that the owner may still mint
+      from the reserve.
+    @param paused Whether or not purchases are paused.
+    @param callerPublicRemaining The number of items that the caller may still
+      purchase during the public sale.
+    @param whitelistRemaining The number of items that may still be sold
+      through each of the `activeWhitelists`, in the same order: the cap of the
+      whitelist less its sales, limited by the supply remaining in the sale.
+    @param callerWhitelistPurchases The number of items the caller has
+      purchased through each of the `activeWhitelists`, in the same order. The
+      caller's allowance on a whitelist is only known from their proof; the
+      caller may still purchase that allowance less these purchases, up to
+      `whitelistRemaining`.
+  */
+  struct SaleStatus {
+    SalePhase phase;
+    uint256[] activeWhitelists;
+    uint256 price;
+    uint256 nextPriceTime;
+    uint256 sold;
+    uint256 remaining;
+    uint256 remainingReserve;
+    bool paused;
+    uint256 callerPublicRemaining;
+    uint256[] whitelistRemaining;
+    uint256[] callerWhitelistPurchases;
+  }
+
+  /**
+    This struct is used at the moment of NFT purchase to let a caller submit a
+    signature from the trusted `signer` authorizing their purchase from a
+    whitelist. This lets whitelists change membership without a new root.
+
+    @param id The ID of the whitelist whose token and timing apply.
+    @param allowance The quantity available to the caller for purchase from the
+      whitelist.
+    @param price The price of each item purchased.
+    @param expiry The time after which the signature may not be used.
+    @param nonce A number which the caller may use in only one signed purchase.
+    @param v The recovery byte of the signature.
+    @param r Half of the ECDSA signature pair.
+    @param s Half of the ECDSA signature pair.
+  */
+  struct SignedPurchase {
+    uint256 id;
+    uint256 allowance;
+    uint256 price;
+    uint256 expiry;
+    uint256 nonce;
+    uint8 v;
+    bytes32 r;
+    bytes32 s;
   }
 
+  /**
+    An event emitted when the owner adds or updates a whitelist.
+
+    @param timestamp The timestamp of the change.
+    @param id The ID of the whitelist that was added or updated.
+    @param whitelist The new details of the whitelist.
+  */
+  event WhitelistSet (
+    uint256 timestamp,
+    uint256 indexed id,
+    CreateWhitelist whitelist
+  );
+
+  /**
+    An event emitted when the owner disables a whitelist.
+
+    @param timestamp The timestamp of the change.
+    @param id The ID of the whitelist that was disabled.
+  */
+  event WhitelistDisabled (
+    uint256 timestamp,
+    uint256 indexed id
+  );
+
+  /**
+    An event emitted when the owner sets the `multiWhitelistRoot`.
+
+    @param timestamp The timestamp of the change.
+    @param root The new root of the tree of memberships across whitelists.
+  */
+  event MultiWhitelistRootSet (
+    uint256 timestamp,
+    bytes32 root
+  );
+
+  /**
+    An event emitted when a public sale buyer claims a rebate.
+
+    @param timestamp The timestamp of the claim.
+    @param buyer The buyer who claimed the rebate.
+    @param token The asset rebated; the zero address represents Ether.
+    @param amount The amount of the asset rebated.
+  */
+  event RebateClaimed (
+    uint256 timestamp,
+    address indexed buyer,
+    address indexed token,
+    uint256 amount
+  );
+
+  /**
+    An event emitted when a payee releases their share of the proceeds.
+
+    @param timestamp The timestamp of the release.
+    @param token The asset released; the zero address represents Ether.
+    @param payee The payee to whom the proceeds were released.
+    @param amount The amount of the asset released.
+  */
+  event PaymentReleased (
+    uint256 timestamp,
+    address indexed token,
+    address indexed payee,
+    uint256 amount
+  );
+
+  /**
+    An event emitted when the owner pauses or unpauses purchases.
+
+    @param timestamp The timestamp of the change.
+    @param paused Whether or not purchases are now paused.
+  */
+  event PauseSet (
+    uint256 timestamp,
+    bool paused
+  );
+
+  /**
+    An event emitted when the owner cancels the sale.
+
+    @param timestamp The timestamp of the cancellation.
+  */
+  event SaleCancelled (
+    uint256 timestamp
+  );
+
+  /**
+    An event emitted when a buyer of a cancelled sale claims a refund.
+
+    @param timestamp The timestamp of the refund.
+    @param buyer The buyer who claimed the refund.
+    @param token The asset refunded; the zero address represents Ether.
+    @param items The number of items returned for the refund.
+    @param amount The amount of the asset refunded.
+  */
+  event Refunded (
+    uint256 timestamp,
+    address indexed buyer,
+    address indexed token,
+    uint256 items,
+    uint256 amount
+  );
+
+  /**
+    An event emitted when a caller purchases items.
+
+    @param timestamp The timestamp of the purchase.
+    @param buyer The caller who purchased the items.
+    @param amount The number of items purchased.
+    @param price The price paid for each item.
+    @param token The asset paid; the zero address represents Ether.
+    @param whitelistId The ID of the whitelist the purchase was made through,
+      or `PUBLIC_SALE` for purchases made in the public sale.
+  */
+  event Purchase (
+    uint256 timestamp,
+    address indexed buyer,
+    uint256 amount,
+    uint256 price,
+    address indexed token,
+    uint256 indexed whitelistId
+  );
+
+  /**
+    An event emitted when the owner mints items from the reserve.
+
+    @param timestamp The timestamp of the airdrop.
+    @param recipients The recipients of the minted items.
+    @param amounts The number of items minted to each recipient.
+  */
+  event ReserveMinted (
+    uint256 timestamp,
+    address[] recipients,
+    uint256[] amounts
+  );
+
   /**
     Construct a new shop with configuration details about the intended sale.
 
@@ -202,7 +766,7 @@ contract DropAuctionShop721 is
     address _collection,
     ShopConfiguration memory _configuration,
     CreateWhitelist[] memory _whitelists
-  ) {
+  ) EIP712("DropAuctionShop721", "1") {
 
     // Perform basic input validation.
     if (_configuration.endTime < _configuration.startTime) {
@@ -211,18 +775,78 @@ contract DropAuctionShop721 is
     if (_configuration.endingPrice > _configuration.startingPrice) {
       revert CannotEndAtHigherPrice();
     }
+    if (
+      _configuration.curve == PriceCurve.Exponential
+      && _configuration.tickAmount > BASIS_POINTS
+    ) {
+      revert CannotDecayByMoreThanPrice();
+    }
 
     // Once input parameters have been validated, set storage.
     collection = _collection;
     startTime = _configuration.startTime;
     endTime = _configuration.endTime;
     totalCap = _configuration.totalCap;
+    reserveCap = _configuration.reserveCap;
     callerCap = _configuration.callerCap;
     transactionCap = _configuration.transactionCap;
     startingPrice = _configuration.startingPrice;
     endingPrice = _configuration.endingPrice;
+    curve = _configuration.curve;
     tickDuration = _configuration.tickDuration;
     tickAmount = _configuration.tickAmount;
+    rebates = _configuration.rebates;
+    signer = _configuration.signer;
+
+    storePriceSteps(
+      priceSteps,
+      _configuration.priceSteps,
+      _configuration.startingPrice,
+      _configuration.curve
+    );
+
+    // Store the ERC-20 tokens accepted by the public sale.
+    for (uint256 i = 0; i < _configuration.paymentTokens.length; i++) {
+      PaymentToken memory paymentToken = _configuration.paymentTokens[i];
+      if (paymentToken.token == address(0)) {
+        revert CannotAcceptZeroAddressToken();
+      }
+      if (paymentToken.endingPrice > paymentToken.startingPrice) {
+        revert CannotEndAtHigherPrice();
+      }
+      if (
+        _configuration.curve == PriceCurve.Exponential
+        && paymentToken.tickAmount > BASIS_POINTS
+      ) {
+        revert CannotDecayByMoreThanPrice();
+      }
+      PaymentToken storage accepted = paymentTokens[paymentToken.token];
+      accepted.token = paymentToken.token;
+      accepted.startingPrice = paymentToken.startingPrice;
+      accepted.endingPrice = paymentToken.endingPrice;
+      accepted.tickAmount = paymentToken.tickAmount;
+      storePriceSteps(
+        accepted.priceSteps,
+        paymentToken.priceSteps,
+        paymentToken.startingPrice,
+        _configuration.curve
+      );
+    }
+
+    // Store the payees, whose shares must total the whole of the proceeds.
+    uint256 totalShares = 0;
+    for (uint256 i = 0; i < _configuration.payees.length; i++) {
+      Payee memory payee = _configuration.payees[i];
+      if (payee.account == address(0)) { revert CannotSplitToZeroAddress(); }
+      if (shares[payee.account] > 0) { revert CannotSplitToDuplicatePayee(); }
+      if (payee.share < 1) { revert CannotSplitIntoInvalidShares(); }
+      totalShares += payee.share;
+      payees.push(payee.account);
+      shares[payee.account] = payee.share;
+    }
+    if (payees.length > 0 && totalShares != BASIS_POINTS) {
+      revert CannotSplitIntoInvalidShares();
+    }
 
     // Store all of the whitelists.
     whitelistCount = _whitelists.length;
@@ -232,179 +856,1015 @@ contract DropAuctionShop721 is
   }
 
   /**
-    Retrieve the current price of the item.
-
-    @return The current price of the item.
+    A private helper function to store the steps of a price curve, which must
+    strictly ascend in time and must not increase in price. A `Steps` curve
+    must have at least one step.
+
+    @param _steps The steps to store the new steps in.
+    @param _newSteps The new steps to validate and store.
+    @param _startingPrice The price before the first step.
+    @param _curve The price curve of the shop.
   */
-  function currentPrice () public view returns (uint256) {
-    if (block.timestamp <= startTime) {
-      return startingPrice;
+  function storePriceSteps (
+    PriceStep[] storage _steps,
+    PriceStep[] memory _newSteps,
+    uint256 _startingPrice,
+    PriceCurve _curve
+  ) private {
+    if (_curve == PriceCurve.Steps && _newSteps.length < 1) {
+      revert CannotStepWithoutPriceSteps();
     }
+    uint256 previousTime = 0;
+    uint256 previousPrice = _startingPrice;
+    for (uint256 i = 0; i < _newSteps.length; i++) {
+      PriceStep memory step = _newSteps[i];
+      if (i > 0 && step.timestamp <= previousTime) {
+        revert CannotOrderPriceStepsOutOfTime();
+      }
+      if (step.price > previousPrice) { revert CannotStepToHigherPrice(); }
+      previousTime = step.timestamp;
+      previousPrice = step.price;
+      _steps.push(step);
+    }
+  }
 
-    // Calculate the price decrease if the auction has started.
-    uint256 timeElapsed = (block.timestamp - startTime);
-    uint256 ticksElapsed = timeElapsed / tickDuration;
-    uint256 priceDecrease = ticksElapsed * tickAmount;
+  /**
+    A private helper function to reject changes to a whitelist that does not
+    exist or that has already started. Once a whitelist starts, its terms are
+    fixed so that no purchase against it is made under different terms.
 
-    // Clamp the minimum price to the ending price.
-    if (startingPrice - priceDecrease > endingPrice) {
-      return (startingPrice - priceDecrease);
-    } else {
-      return endingPrice;
+    @param _id The ID of the whitelist to be changed.
+  */
+  function validateWhitelistUpdate (
+    uint256 _id
+  ) private view {
+    if (_id >= whitelistCount) { revert CannotUpdateNonexistentWhitelist(); }
+    if (block.timestamp >= whitelists[_id].startTime) {
+      revert CannotUpdateStartedWhitelist();
     }
   }
 
   /**
-    A private helper function to sell an item to a public sale participant. This
-    selling function refunds any overpayment to the user; refunding overpayment
-    is expected to be a common situation given the price decay in the Dutch
-    auction.
+    Allow the owner to add a new presale whitelist to this shop.
 
-    @param _amount The number of items that the caller would like to purchase.
+    @param _whitelist The details of the whitelist to add.
+
+    @return The ID of the new whitelist.
   */
-  function sellPublic (
-    uint256 _amount
-  ) private {
-    uint256 price = currentPrice();
-    uint256 totalCharge = price * _amount;
+  function addWhitelist (
+    CreateWhitelist calldata _whitelist
+  ) external onlyOwner returns (uint256) {
+    uint256 id = whitelistCount;
+    whitelists[id] = _whitelist;
+    whitelistCount += 1;
+    emit WhitelistSet(block.timestamp, id, _whitelist);
+    return id;
+  }
 
-    // Reject the purchase if the caller is underpaying.
-    if (msg.value < totalCharge) { revert CannotUnderpayForMint(); }
+  /**
+    Allow the owner to update the root, time window, price, or token of a
+    whitelist. Whitelists may only be updated before they start.
 
-    // Refund the caller's excess payment if they overpaid.
-    if (msg.value > totalCharge) {
-      uint256 excess = msg.value - totalCharge;
-      (bool returned, ) = payable(_msgSender()).call{ value: excess }("");
-      if (!returned) { revert RefundTransferFailed(); }
-    }
+    @param _id The ID of the whitelist to update.
+    @param _whitelist The new details of the whitelist.
+  */
+  function updateWhitelist (
+    uint256 _id,
+    CreateWhitelist calldata _whitelist
+  ) external onlyOwner {
+    validateWhitelistUpdate(_id);
+    whitelists[_id] = _whitelist;
+    emit WhitelistSet(block.timestamp, _id, _whitelist);
   }
 
   /**
-    Calculate a root hash from given parameters.
+    Allow the owner to disable a whitelist by clearing its root and ending time,
+    after which no proof or signature verifies against it. Whitelists may only
+    be disabled before they start.
 
-    @param _index The index of the hashed node from the list.
-    @param _node The index of the hashed node at that index.
-    @param _merkleProof An array of one required merkle hash per level.
+    @param _id The ID of the whitelist to disable.
+  */
+  function disableWhitelist (
+    uint256 _id
+  ) external onlyOwner {
+    validateWhitelistUpdate(_id);
+    whitelists[_id].root = 0;
+    whitelists[_id].endTime = 0;
+    emit WhitelistDisabled(block.timestamp, _id);
+  }
 
-    @return The root hash from given parameters.
+  /**
+    Allow the owner to set the `multiWhitelistRoot` of memberships across every
+    whitelist. Like the whitelists themselves, this may only be set before any
+    whitelist has started, so that no purchase is made under different terms.
+
+    @param _root The new root of the tree of memberships across whitelists.
   */
-  function getRootHash (
-    uint256 _index,
-    bytes32 _node,
-    bytes32[] calldata _merkleProof
-  ) private pure returns (bytes32) {
-    uint256 path = _index;
-    for (uint256 i = 0; i < _merkleProof.length; i++) {
-      if ((path & 0x01) == 1) {
-        _node = keccak256(abi.encodePacked(_merkleProof[i], _node));
-      } else {
-        _node = keccak256(abi.encodePacked(_node, _merkleProof[i]));
+  function setMultiWhitelistRoot (
+    bytes32 _root
+  ) external onlyOwner {
+    for (uint256 i = 0; i < whitelistCount; i++) {
+      if (block.timestamp >= whitelists[i].startTime) {
+        revert CannotUpdateStartedWhitelist();
       }
-      path /= 2;
     }
-    return _node;
+    multiWhitelistRoot = _root;
+    emit MultiWhitelistRootSet(block.timestamp, _root);
   }
 
   /**
-    A helper function to verify an access against a targeted on-chain merkle
-    root.
+    A private helper function to raise a fixed-point number with `BASIS_POINTS`
+    precision to an integer power by repeated squaring.
 
-    @param _accesslistId The id of the accesslist containing the merkleRoot.
-    @param _index The index of the hashed node from off-chain list.
-    @param _node The actual hashed node which needs to be verified.
-    @param _merkleProof The merkle hashes from the off-chain merkle tree.
+    @param _base The fixed-point number to raise.
+    @param _exponent The power to raise `_base` to.
 
-    @return Whether the provided merkle proof is verifiably part of the on-chain
-      root.
+    @return `_base` raised to the power of `_exponent`, with `BASIS_POINTS`
+      precision.
   */
-  function verify (
-    uint256 _accesslistId,
-    uint256 _index,
-    bytes32 _node,
-    bytes32[] calldata _merkleProof
-  ) private view returns (bool) {
-    if (whitelists[_accesslistId].root == 0) {
-      return false;
-    } else if (block.timestamp < whitelists[_accesslistId].startTime) {
-      return false;
-    } else if (block.timestamp > whitelists[_accesslistId].endTime) {
-      return false;
-    } else if (
-      getRootHash(_index, _node, _merkleProof) != whitelists[_accesslistId].root
-    ) {
-      return false;
+  function powBasisPoints (
+    uint256 _base,
+    uint256 _exponent
+  ) private pure returns (uint256) {
+    uint256 result = BASIS_POINTS;
+    while (_exponent > 0) {
+      if (_exponent % 2 == 1) {
+        result = result * _base / BASIS_POINTS;
+      }
+      _base = _base * _base / BASIS_POINTS;
+      _exponent /= 2;
     }
-    return true;
+    return result;
   }
 
   /**
-    A private helper function to sell an item to a whitelist presale
-    participant.
+    A private helper function to calculate the price of the item at a particular
+    time under the shop's price curve, given the prices of a payment asset. The
+    price never falls below `_endingPrice`.
 
-    @param _amount The number of items that the caller would like to purchase.
-    @param _whitelist A whitelist proof for users to submit with their claim to
+    @param _timestamp The time to calculate the price of the item at.
+    @param _startingPrice The price at which the public sale begins.
+    @param _endingPrice The price at which the public sale ends.
+    @param _tickAmount The amount by which the price decreases every tick.
+    @param _steps The steps of the price for a `Steps` curve.
+
+    @return The price of the item at `_timestamp`.
+  */
+  function curvePrice (
+    uint256 _timestamp,
+    uint256 _startingPrice,
+    uint256 _endingPrice,
+    uint256 _tickAmount,
+    PriceStep[] storage _steps
+  ) private view returns (uint256) {
+    if (_timestamp <= startTime) {
+      return _startingPrice;
+    }
+
+    // Find the price of the latest step that has begun.
+    uint256 price = _startingPrice;
+    if (curve == PriceCurve.Steps) {
+      for (uint256 i = 0; i < _steps.length; i++) {
+        if (_steps[i].timestamp > _timestamp) {
+          break;
+        }
+        price = _steps[i].price;
+      }
+
+    // Otherwise, calculate the price decrease of the elapsed ticks.
+    } else {
+      uint256 timeElapsed = (_timestamp - startTime);
+      uint256 ticksElapsed = timeElapsed / tickDuration;
+      if (curve == PriceCurve.Exponential) {
+        price = _startingPrice * powBasisPoints(
+          BASIS_POINTS - _tickAmount,
+          ticksElapsed
+        ) / BASIS_POINTS;
+      } else {
+        uint256 priceDecrease = ticksElapsed * _tickAmount;
+        price = priceDecrease < _startingPrice
+          ? _startingPrice - priceDecrease
+          : 0;
+      }
+    }
+
+    // Clamp the minimum price to the ending price.
+    if (price > _endingPrice) {
+      return price;
+    } else {
+      return _endingPrice;
+    }
+  }
+
+  /**
+    Retrieve the price of the item in Ether at a particular time under the
+    shop's price curve. The price never falls below the `endingPrice`.
+
+    @param _timestamp The time to retrieve the price of the item at.
+
+    @return The price of the item at `_timestamp`.
+  */
+  function priceAt (
+    uint256 _timestamp
+  ) public view returns (uint256) {
+    return curvePrice(
+      _timestamp,
+      startingPrice,
+      endingPrice,
+      tickAmount,
+      priceSteps
+    );
+  }
+
+  /**
+    Retrieve the price of the item in an accepted ERC-20 token at a particular
+    time under the shop's price curve.
+
+    @param _token The address of the accepted ERC-20 token.
+    @param _timestamp The time to retrieve the price of the item at.
+
+    @return The price of the item in `_token` at `_timestamp`.
+  */
+  function tokenPriceAt (
+    address _token,
+    uint256 _timestamp
+  ) public view returns (uint256) {
+    PaymentToken storage paymentToken = paymentTokens[_token];
+    if (_token == address(0) || paymentToken.token != _token) {
+      revert CannotPayWithUnacceptedToken();
+    }
+    return curvePrice(
+      _timestamp,
+      paymentToken.startingPrice,
+      paymentToken.endingPrice,
+      paymentToken.tickAmount,
+      paymentToken.priceSteps
+    );
+  }
+
+  /**
+    Retrieve the current price of the item.
+
+    @return The current price of the item.
+  */
+  function currentPrice () public view returns (uint256) {
+    return priceAt(block.timestamp);
+  }
+
+  /**
+    Retrieve the current price of the item in an accepted ERC-20 token.
+
+    @param _token The address of the accepted ERC-20 token.
+
+    @return The current price of the item in `_token`.
+  */
+  function currentTokenPrice (
+    address _token
+  ) external view returns (uint256) {
+    return tokenPriceAt(_token, block.timestamp);
+  }
+
+  /**
+    A private helper function to mint the items that a caller has paid for and
+    to record their payment, along with the token IDs of those items, so that
+    it may be refunded if the sale is cancelled. This also emits an event for
+    the purchase.
+
+    @param _id The ID of the whitelist the purchase was made through, or
+      `PUBLIC_SALE` for a public sale purchase.
+    @param _token The asset paid; the zero address represents Ether.
+    @param _amount The number of items purchased with the payment.
+    @param _price The price paid for each item.
+  */
+  function recordPayment (
+    uint256 _id,
+    address _token,
+    uint256 _amount,
+    uint256 _price
+  ) private {
+    uint256 firstId = ITiny721(collection).totalMinted() + 1;
+    ITiny721(collection).mint_Qgo(_msgSender(), _amount);
+    itemPayments[firstId] = ItemPayment({
+      buyer: _msgSender(),
+      token: _token,
+      amount: _amount
+    });
+    uint256 charge = _price * _amount;
+    payments[_token][_msgSender()] += charge;
+    paymentItems[_token][_msgSender()] += _amount;
+    totalPayments[_token] += charge;
+    emit Purchase(
+      block.timestamp,
+      _msgSender(),
+      _amount,
+      _price,
+      _token,
+      _id
+    );
+  }
+
+  /**
+    A private helper function to sell an item to a public sale participant. This
+    selling function refunds any overpayment to the user; refunding overpayment
+    is expected to be a common situation given the price decay in the Dutch
+    auction. Purchases in an ERC-20 token instead transfer exactly the current
+    price from the caller, so no refund is needed. With `rebates`, purchases in
+    every asset are recorded so that the caller may later claim a rebate.
+
+    @param _amount The number of items that the caller would like to purchase.
+    @param _token The payment asset chosen by the caller; the zero address
+      indicates that the purchase is made with Ether.
+  */
+  function sellPublic (
+    uint256 _amount,
+    address _token
+  ) private {
+
+    // Reject purchases that exceed the per-caller cap of the public sale.
+    if (publicPurchases[_msgSender()] + _amount > callerCap) {
+      revert CannotExceedPerCallerCap();
+    }
+    publicPurchases[_msgSender()] += _amount;
+
+    // Charge the caller the current price in an accepted ERC-20 token.
+    uint256 price;
+    if (_token != address(0)) {
+      if (msg.value > 0) { revert CannotTransferIncorrectAmount(); }
+      price = tokenPriceAt(_token, block.timestamp);
+      IERC20(_token).safeTransferFrom(
+        _msgSender(),
+        address(this),
+        price * _amount
+      );
+
+    // Otherwise, reject the purchase if the caller is underpaying in Ether.
+    } else {
+      price = currentPrice();
+      if (msg.value < price * _amount) { revert CannotUnderpayForMint(); }
+    }
+    uint256 totalCharge = price * _amount;
+    recordPayment(PUBLIC_SALE, _token, _amount, price);
+
+    // Record the payment so that the caller may later claim a rebate.
+    if (rebates) {
+      publicPaid[_token][_msgSender()] += totalCharge;
+      publicItems[_token][_msgSender()] += _amount;
+      publicSold[_token] += _amount;
+      publicRevenue[_token] += totalCharge;
+      lastPurchaseTime = block.timestamp;
+    }
+
+    // Refund the caller's excess Ether if they overpaid.
+    if (_token == address(0) && msg.value > totalCharge) {
+      uint256 excess = msg.value - totalCharge;
+      (bool returned, ) = payable(_msgSender()).call{ value: excess }("");
+      if (!returned) { revert RefundTransferFailed(); }
+    }
+  }
+
+  /**
+    Return whether or not the public sale has settled, fixing its clearing
+    price. The sale settles once it sells out or once its `endTime` passes.
+
+    @return Whether or not the public sale has settled.
+  */
+  function settled () public view returns (bool) {
+    return sold >= totalCap || block.timestamp >= endTime;
+  }
+
+  /**
+    Return the clearing price of the public sale in a particular asset: the
+    price in that asset at the time of the final public sale purchase. This is
+    only final once the sale has settled.
+
+    @param _token The asset to check; the zero address represents Ether.
+
+    @return The clearing price in `_token`.
+  */
+  function clearingPrice (
+    address _token
+  ) public view returns (uint256) {
+    return _token == address(0)
+      ? priceAt(lastPurchaseTime)
+      : tokenPriceAt(_token, lastPurchaseTime);
+  }
+
+  /**
+    Return the rebate in a particular asset that a particular buyer may claim
+    once the public sale has settled: the difference between what they paid in
+    the asset and what their items cost at the clearing price in the asset.
+
+    @param _token The asset to check; the zero address represents Ether.
+    @param _buyer The buyer to return the rebate of.
+
+    @return The amount of `_token` rebatable to `_buyer`.
+  */
+  function rebateOf (
+    address _token,
+    address _buyer
+  ) public view returns (uint256) {
+    uint256 items = publicItems[_token][_buyer];
+    if (items < 1) {
+      return 0;
+    }
+    return publicPaid[_token][_buyer] - items * clearingPrice(_token);
+  }
+
+  /**
+    Return the amount of an asset in this shop that is reserved for rebates.
+    Before settlement, the clearing price is not yet known and so enough is held
+    to rebate every buyer down to the ending price in the asset.
+
+    @param _token The asset to check; the zero address represents Ether.
+
+    @return The amount of `_token` reserved for rebates.
+  */
+  function reservedRebates (
+    address _token
+  ) public view returns (uint256) {
+    if (!rebates || cancelled || publicSold[_token] < 1) {
+      return 0;
+    }
+    uint256 price = _token == address(0)
+      ? endingPrice
+      : paymentTokens[_token].endingPrice;
+    if (settled()) {
+      price = clearingPrice(_token);
+    }
+    return publicRevenue[_token] - publicSold[_token] * price;
+  }
+
+  /**
+    Allow a public sale buyer to claim their rebate in a particular asset once
+    the sale has settled.
+
+    @param _token The asset to claim; the zero address represents Ether.
+  */
+  function claimRebate (
+    address _token
+  ) external nonReentrant {
+    if (cancelled) { revert CannotClaimRebateFromCancelledSale(); }
+    if (!rebates || !settled()) { revert CannotClaimRebateBeforeSettlement(); }
+    uint256 rebate = rebateOf(_token, _msgSender());
+    if (rebate < 1) { revert CannotClaimZeroRebate(); }
+
+    // Record the claim before transferring the rebate.
+    publicPaid[_token][_msgSender()] -= rebate;
+    publicRevenue[_token] -= rebate;
+    payments[_token][_msgSender()] -= rebate;
+    totalPayments[_token] -= rebate;
+    if (_token == address(0)) {
+      (bool success, ) = payable(_msgSender()).call{ value: rebate }("");
+      if (!success) { revert RebateTransferFailed(); }
+    } else {
+      IERC20(_token).safeTransfer(_msgSender(), rebate);
+    }
+    emit RebateClaimed(block.timestamp, _msgSender(), _token, rebate);
+  }
+
+  /**
+    Calculate a root hash from given parameters.
+
+    @param _index The index of the hashed node from the list.
+    @param _node The index of the hashed node at that index.
+    @param _merkleProof An array of one required merkle hash per level.
+
+    @return The root hash from given parameters.
+  */
+  function getRootHash (
+    uint256 _index,
+    bytes32 _node,
+    bytes32[] calldata _merkleProof
+  ) private pure returns (bytes32) {
+    uint256 path = _index;
+    for (uint256 i = 0; i < _merkleProof.length; i++) {
+      if ((path & 0x01) == 1) {
+        _node = keccak256(abi.encodePacked(_merkleProof[i], _node));
+      } else {
+        _node = keccak256(abi.encodePacked(_node, _merkleProof[i]));
+      }
+      path /= 2;
+    }
+    return _node;
+  }
+
+  /**
+    A private helper function to determine whether a whitelist is currently
+    running: it has a root and the current time is within its time window.
+
+    @param _id The ID of the whitelist to check.
+
+    @return Whether or not the whitelist is active.
+  */
+  function whitelistActive (
+    uint256 _id
+  ) private view returns (bool) {
+    return whitelists[_id].root != 0
+      && block.timestamp >= whitelists[_id].startTime
+      && block.timestamp <= whitelists[_id].endTime;
+  }
+
+  /**
+    A helper function to verify an access against a targeted on-chain merkle
+    root. Whitelists with a sorted merkle tree are verified with OpenZeppelin's
+    `MerkleProof`; all others are verified with `getRootHash`.
+
+    @param _accesslistId The id of the accesslist containing the merkleRoot.
+    @param _index The index of the hashed node from off-chain list.
+    @param _node The actual hashed node which needs to be verified.
+    @param _merkleProof The merkle hashes from the off-chain merkle tree.
+
+    @return Whether the provided merkle proof is verifiably part of the on-chain
+      root.
+  */
+  function verify (
+    uint256 _accesslistId,
+    uint256 _index,
+    bytes32 _node,
+    bytes32[] calldata _merkleProof
+  ) private view returns (bool) {
+    if (!whitelistActive(_accesslistId)) {
+      return false;
+    } else if (whitelists[_accesslistId].sorted) {
+      return MerkleProof.verify(
+        _merkleProof,
+        whitelists[_accesslistId].root,
+        _node
+      );
+    } else if (
+      getRootHash(_index, _node, _merkleProof) != whitelists[_accesslistId].root
+    ) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+    A private helper function to verify a caller's whitelist proof, hashing the
+    caller's leaf in the scheme of the whitelist. Sorted merkle trees
+    double-hash their ABI-encoded leaves; index-ordered trees pack the index of
+    the leaf into its single hash.
+
+    @param _whitelist A whitelist proof submitted by the caller.
+
+    @return Whether the proof verifies the caller as a member of the whitelist.
+  */
+  function verifyWhitelist (
+    WhitelistProof calldata _whitelist
+  ) private view returns (bool) {
+    bytes32 node = whitelists[_whitelist.id].sorted
+      ? keccak256(
+        bytes.concat(
+          keccak256(abi.encode(_msgSender(), _whitelist.allowance))
+        )
+      )
+      : keccak256(
+        abi.encodePacked(
+          _whitelist.index,
+          _msgSender(),
+          _whitelist.allowance
+        )
+      );
+    return verify(
+      _whitelist.id,
+      _whitelist.index,
+      node,
+      _whitelist.proof
+    );
+  }
+
+  /**
+    A private helper function to compute the root of a sorted merkle tree from
+    a multiproof of several of its leaves, in the same way as the
+    `processMultiProof` of later OpenZeppelin `MerkleProof` releases.
+
+    @param _leaves The hashes of the proven leaves, in the order of the
+      multiproof.
+    @param _proof The sibling hashes of the multiproof.
+    @param _proofFlags The flags of the multiproof.
+
+    @return The root hash reconstructed from the multiproof, or zero if the
+      multiproof is malformed.
+  */
+  function processMultiProof (
+    bytes32[] memory _leaves,
+    bytes32[] calldata _proof,
+    bool[] calldata _proofFlags
+  ) private pure returns (bytes32) {
+    uint256 leafCount = _leaves.length;
+    if (leafCount + _proof.length != _proofFlags.length + 1) {
+      return 0;
+    }
+
+    /*
+      Each step hashes the next known node, either a leaf or an earlier hash,
+      with either the next known node or the next element of the proof.
+    */
+    bytes32[] memory hashes = new bytes32[](_proofFlags.length);
+    uint256 leafPosition = 0;
+    uint256 hashPosition = 0;
+    uint256 proofPosition = 0;
+    for (uint256 i = 0; i < _proofFlags.length; i++) {
+      bytes32 a = leafPosition < leafCount
+        ? _leaves[leafPosition++]
+        : hashes[hashPosition++];
+      bytes32 b;
+      if (!_proofFlags[i]) {
+        b = _proof[proofPosition++];
+      } else {
+        b = leafPosition < leafCount
+          ? _leaves[leafPosition++]
+          : hashes[hashPosition++];
+      }
+      hashes[i] = a < b
+        ? keccak256(abi.encodePacked(a, b))
+        : keccak256(abi.encodePacked(b, a));
+    }
+    if (_proofFlags.length > 0) {
+      return hashes[_proofFlags.length - 1];
+    }
+    return leafCount > 0 ? _leaves[0] : _proof[0];
+  }
+
+  /**
+    A private helper function to charge the caller for a whitelist purchase in
+    the token of a particular whitelist.
+
+    @param _id The ID of the whitelist whose token applies.
+    @param _price The price of each item purchased.
+    @param _amount The number of items that the caller is purchasing.
+  */
+  function chargeWhitelist (
+    uint256 _id,
+    uint256 _price,
+    uint256 _amount
+  ) private {
+
+    // Calculate the sale token and price.
+    address token = whitelists[_id].token;
+    uint256 price = _price * _amount;
+
+    // The zero address indicates that the purchase asset is Ether.
+    if (token == address(0)) {
+      if (msg.value != price) { revert CannotTransferIncorrectAmount(); }
+
+    // Otherwise, the caller is making their purchase with an ERC-20 token.
+    } else {
+      IERC20(token).safeTransferFrom(
+        _msgSender(),
+        address(this),
+        price
+      );
+    }
+    recordPayment(_id, token, _amount, _price);
+  }
+
+  /**
+    A private helper function to sell an item to a whitelist presale
+    participant.
+
+    @param _amount The number of items that the caller would like to purchase.
+    @param _whitelist A whitelist proof for users to submit with their claim to
       verify that they are in fact on the whitelist.
   */
-  function sellWhitelist (
+  function sellWhitelist (
+    uint256 _amount,
+    WhitelistProof calldata _whitelist
+  ) private {
+
+    // Reject the purchase if the caller is not a valid whitelist member.
+    if (!verifyWhitelist(_whitelist)) {
+      revert CannotVerifyAsWhitelistMember();
+    }
+
+    // Reject the purchase if the caller is exceeding their whitelist allowance.
+    uint256 id = _whitelist.id;
+    if (whitelistPurchases[id][_msgSender()] + _amount > _whitelist.allowance) {
+      revert CannotExceedWhitelistAllowance();
+    }
+
+    // Reject the purchase if it would exceed the cap of the whitelist.
+    uint256 cap = whitelists[id].cap;
+    if (cap > 0 && whitelistSold[id] + _amount > cap) {
+      revert CannotExceedWhitelistCap();
+    }
+    whitelistPurchases[id][_msgSender()] += _amount;
+    whitelistSold[id] += _amount;
+
+    // Charge the caller for their purchase.
+    chargeWhitelist(_whitelist.id, whitelists[id].price, _amount);
+  }
+
+  /**
+    A private helper function to sell as much of a combined purchase as the
+    caller's remaining allowance on a particular whitelist permits. The portion
+    is charged at the price and in the token of the whitelist; Ether is not
+    collected here, but is returned as owed so that the whole purchase may be
+    checked against the Ether sent.
+
+    @param _id The ID of the whitelist to count the portion against.
+    @param _allowance The caller's total allowance on the whitelist.
+    @param _unallocated The number of items of the purchase not yet counted.
+
+    @return The number of items counted against the whitelist and the amount
+      of Ether owed for them.
+  */
+  function sellWhitelistPortion (
+    uint256 _id,
+    uint256 _allowance,
+    uint256 _unallocated
+  ) private returns (uint256, uint256) {
+    uint256 count = remainingWhitelistAllowance(_id, _msgSender(), _allowance);
+    if (count > _unallocated) {
+      count = _unallocated;
+    }
+    if (count < 1) {
+      return (0, 0);
+    }
+    whitelistPurchases[_id][_msgSender()] += count;
+    whitelistSold[_id] += count;
+
+    // Charge the caller for this portion in the token of the whitelist.
+    address token = whitelists[_id].token;
+    uint256 price = whitelists[_id].price;
+    uint256 etherDue = 0;
+    if (token == address(0)) {
+      etherDue = price * count;
+    } else {
+      IERC20(token).safeTransferFrom(
+        _msgSender(),
+        address(this),
+        price * count
+      );
+    }
+    recordPayment(_id, token, count, price);
+    return (count, etherDue);
+  }
+
+  /**
+    A private helper function to sell items to a participant of several
+    whitelist presales at once, applying their combined allowance. The purchase
+    is counted against each whitelist in ascending order of whitelist ID, up to
+    the remaining allowance of the caller on that whitelist, and each portion is
+    charged at the price and in the token of the whitelist it is counted
+    against. Any Ether sent must exactly cover the portions priced in Ether.
+
+    @param _amount The number of items that the caller would like to purchase.
+    @param _whitelists An array of whitelist proofs, ordered by ascending
+      whitelist ID, verifying that the caller is on each of the whitelists.
+  */
+  function sellWhitelists (
+    uint256 _amount,
+    WhitelistProof[] calldata _whitelists
+  ) private {
+    if (_whitelists.length < 1) { revert CannotVerifyAsWhitelistMember(); }
+    uint256 unallocated = _amount;
+    uint256 etherDue;
+    for (uint256 i = 0; i < _whitelists.length; i++) {
+      WhitelistProof calldata whitelist = _whitelists[i];
+
+      // Reject repeated whitelists by requiring their IDs to ascend.
+      if (i > 0 && whitelist.id <= _whitelists[i - 1].id) {
+        revert CannotCombineUnsortedWhitelists();
+      }
+
+      // Reject the purchase if the caller is not a valid whitelist member.
+      if (!verifyWhitelist(whitelist)) {
+        revert CannotVerifyAsWhitelistMember();
+      }
+
+      // Count as much of the purchase as possible against this whitelist.
+      (uint256 count, uint256 due) = sellWhitelistPortion(
+        whitelist.id,
+        whitelist.allowance,
+        unallocated
+      );
+      unallocated -= count;
+      etherDue += due;
+    }
+
+    // Reject the purchase if the caller is exceeding their combined allowance.
+    if (unallocated > 0) { revert CannotExceedWhitelistAllowance(); }
+
+    // Reject the purchase unless the Ether sent covers exactly what is owed.
+    if (msg.value != etherDue) { revert CannotTransferIncorrectAmount(); }
+  }
+
+  /**
+    A private helper function to sell items to a participant of several
+    whitelist presales at once, whose memberships are proven by a single
+    multiproof against the `multiWhitelistRoot`. The purchase is counted against
+    each whitelist in the order of the leaves of the multiproof, as in
+    `sellWhitelists`.
+
+    @param _amount The number of items that the caller would like to purchase.
+    @param _multiProof A multiproof of the caller's memberships of several
+      whitelists.
+  */
+  function sellWhitelistsWithMultiProof (
+    uint256 _amount,
+    WhitelistMultiProof calldata _multiProof
+  ) private {
+    uint256[] calldata ids = _multiProof.ids;
+    if (ids.length < 1 || _multiProof.allowances.length != ids.length) {
+      revert CannotVerifyAsWhitelistMember();
+    }
+
+    // Hash the caller's leaf for each whitelist, which must all be running.
+    bytes32[] memory leaves = new bytes32[](ids.length);
+    for (uint256 i = 0; i < ids.length; i++) {
+      if (!whitelistActive(ids[i])) { revert CannotVerifyAsWhitelistMember(); }
+      leaves[i] = keccak256(
+        bytes.concat(
+          keccak256(
+            abi.encode(
+              keccak256(abi.encode(_msgSender(), ids[i])),
+              _multiProof.allowances[i]
+            )
+          )
+        )
+      );
+    }
+
+    // Reject the purchase unless the multiproof verifies every leaf at once.
+    if (
+      multiWhitelistRoot == 0 ||
+      processMultiProof(leaves, _multiProof.proof, _multiProof.proofFlags)
+        != multiWhitelistRoot
+    ) {
+      revert CannotVerifyAsWhitelistMember();
+    }
+
+    // Count as much of the purchase as possible against each whitelist.
+    uint256 unallocated = _amount;
+    uint256 etherDue;
+    for (uint256 i = 0; i < ids.length; i++) {
+      (uint256 count, uint256 due) = sellWhitelistPortion(
+        ids[i],
+        _multiProof.allowances[i],
+        unallocated
+      );
+      unallocated -= count;
+      etherDue += due;
+    }
+    if (unallocated > 0) { revert CannotExceedWhitelistAllowance(); }
+    if (msg.value != etherDue) { revert CannotTransferIncorrectAmount(); }
+  }
+
+  /**
+    A private helper function to validate a signature supplied for a signed
+    purchase. This function constructs a digest and verifies that the signature
+    signer was the authorized address we expect.
+
+    @param _purchase The signed purchase submitted by the caller.
+
+    @return Whether or not the purchase was signed by the trusted `signer`.
+  */
+  function validSignature (
+    SignedPurchase calldata _purchase
+  ) private view returns (bool) {
+    bytes32 digest = keccak256(
+      abi.encodePacked(
+        "\x19\x01",
+        DOMAIN_SEPARATOR,
+        keccak256(
+          abi.encode(
+            PURCHASE_TYPEHASH,
+            _msgSender(),
+            _purchase.id,
+            _purchase.allowance,
+            _purchase.price,
+            _purchase.expiry,
+            _purchase.nonce
+          )
+        )
+      )
+    );
+
+    /*
+      The purchase is validated if it was signed by our authorized signer. An
+      invalid signature recovers to the zero address, so a zero `signer` must
+      never validate.
+    */
+    if (signer == address(0)) {
+      return false;
+    }
+    return ecrecover(digest, _purchase.v, _purchase.r, _purchase.s) == signer;
+  }
+
+  /**
+    A private helper function to sell items to a whitelist participant whose
+    purchase is authorized by a signature from the trusted `signer`.
+
+    @param _amount The number of items that the caller would like to purchase.
+    @param _purchase The signed purchase submitted by the caller.
+  */
+  function sellSigned (
     uint256 _amount,
-    WhitelistProof calldata _whitelist
+    SignedPurchase calldata _purchase
   ) private {
+    if (!validSignature(_purchase)) { revert CannotVerifySignature(); }
+    if (block.timestamp > _purchase.expiry) {
+      revert CannotUseExpiredSignature();
+    }
+    if (usedNonces[_msgSender()][_purchase.nonce]) {
+      revert CannotReuseSignatureNonce();
+    }
+    usedNonces[_msgSender()][_purchase.nonce] = true;
+
+    // Reject the purchase if the whitelist does not exist or is not running.
+    uint256 id = _purchase.id;
+    if (
+      id >= whitelistCount ||
+      block.timestamp < whitelists[id].startTime ||
+      block.timestamp > whitelists[id].endTime
+    ) {
+      revert CannotVerifyAsWhitelistMember();
+    }
 
-    // Verify that the caller is on the merkle whitelist.
-    bool verified = verify(
-      _whitelist.id,
-      _whitelist.index,
-      keccak256(
-        abi.encodePacked(
-          _whitelist.index,
-          _msgSender(),
-          _whitelist.allowance
-        )
-      ),
-      _whitelist.proof
+    // Reject the purchase if the caller is exceeding their allowance.
+    uint256 remaining = remainingWhitelistAllowance(
+      id,
+      _msgSender(),
+      _purchase.allowance
     );
+    if (_amount > remaining) { revert CannotExceedWhitelistAllowance(); }
+    whitelistPurchases[id][_msgSender()] += _amount;
+    whitelistSold[id] += _amount;
 
-    // Reject the purchase if the caller is not a valid whitelist member.
-    if (!verified) { revert CannotVerifyAsWhitelistMember(); }
+    // Charge the caller for their purchase at the signed price.
+    chargeWhitelist(id, _purchase.price, _amount);
+  }
 
-    // Reject the purchase if the caller is exceeding their whitelist allowance.
-    if (purchaseCounts[_msgSender()] + _amount > _whitelist.allowance) {
-      revert CannotExceedWhitelistAllowance();
+  /**
+    Return the number of items that a caller may still purchase through a
+    particular whitelist. This is limited by both the caller's remaining
+    allowance and the remaining supply under the cap of the whitelist. The
+    caller's membership of the whitelist is not verified here.
+
+    @param _id The ID of the whitelist to check.
+    @param _caller The caller to check the remaining allowance of.
+    @param _allowance The caller's total allowance on the whitelist, as given
+      by their whitelist proof.
+
+    @return The number of items that `_caller` may still purchase through the
+      whitelist.
+  */
+  function remainingWhitelistAllowance (
+    uint256 _id,
+    address _caller,
+    uint256 _allowance
+  ) public view returns (uint256) {
+    uint256 purchased = whitelistPurchases[_id][_caller];
+    uint256 remaining = _allowance > purchased ? _allowance - purchased : 0;
+
+    // Limit the remaining allowance by the remaining supply of the whitelist.
+    uint256 cap = whitelists[_id].cap;
+    if (cap > 0) {
+      uint256 supply = cap > whitelistSold[_id] ? cap - whitelistSold[_id] : 0;
+      if (supply < remaining) {
+        remaining = supply;
+      }
     }
+    return remaining;
+  }
 
-    // Calculate the sale token and price.
-    address token = whitelists[_whitelist.id].token;
-    uint256 price = whitelists[_whitelist.id].price * _amount;
+  /**
+    Return the number of items that a caller may still purchase during the
+    public sale. This is limited by both the `callerCap` and the remaining
+    supply under the `totalCap`.
 
-    // The zero address indicates that the purchase asset is Ether.
-    if (token == address(0)) {
-      if (msg.value != price) { revert CannotTransferIncorrectAmount(); }
+    @param _caller The caller to check the remaining allowance of.
 
-    // Otherwise, the caller is making their purchase with an ERC-20 token.
-    } else {
-      IERC20(token).safeTransferFrom(
-        _msgSender(),
-        address(this),
-        price
-      );
-    }
+    @return The number of items that `_caller` may still purchase during the
+      public sale.
+  */
+  function remainingPublicAllowance (
+    address _caller
+  ) public view returns (uint256) {
+    uint256 purchased = publicPurchases[_caller];
+    uint256 remaining = callerCap > purchased ? callerCap - purchased : 0;
+    uint256 supply = totalCap > sold ? totalCap - sold : 0;
+    return supply < remaining ? supply : remaining;
   }
 
   /**
-    Allow a caller to purchase an item.
+    A private helper function to reject purchases which would violate the caps
+    or the timing of the sale.
 
     @param _amount The amount of items that the caller would like to purchase.
-    @param _whitelist The caller-subumitted whitelist proof to check if they
-      belong on a presale whitelist.
   */
-  function mint (
-    uint256 _amount,
-    WhitelistProof calldata _whitelist
-  ) external payable nonReentrant {
+  function validatePurchase (
+    uint256 _amount
+  ) private view {
 
     // Reject purchases for no items.
     if (_amount < 1) { revert CannotBuyZeroItems(); }
 
+    // Reject purchases while the sale is paused or once it is cancelled.
+    if (cancelled) { revert CannotBuyFromCancelledSale(); }
+    if (paused) { revert CannotBuyFromPausedSale(); }
+
     /*
       Reject purchases that happen after the end of the public sale. Do note
       that this means that whitelist sales with an ending duration _after_ the
@@ -420,13 +1880,43 @@ contract DropAuctionShop721 is
       revert CannotExceedPerTransactionCap();
     }
 
-    // Reject purchases that exceed the per-caller cap.
-    if (purchaseCounts[_msgSender()] + _amount > callerCap) {
-      revert CannotExceedPerCallerCap();
-    }
-
     // Reject purchases that exceed the total sale cap.
     if (sold + _amount > totalCap) { revert CannotExceedTotalCap(); }
+  }
+
+  /**
+    A private helper function to record a completed purchase. The purchased
+    items are minted to the caller as their payment is recorded.
+
+    @param _amount The amount of items that the caller purchased.
+  */
+  function completePurchase (
+    uint256 _amount
+  ) private {
+
+    // Update the count of items sold.
+    sold += _amount;
+
+    // Update the caller's total purchase count.
+    purchaseCounts[_msgSender()] += _amount;
+  }
+
+  /**
+    Allow a caller to purchase an item.
+
+    @param _amount The amount of items that the caller would like to purchase.
+    @param _whitelist The caller-subumitted whitelist proof to check if they
+      belong on a presale whitelist.
+    @param _token The asset with which to pay in the public sale: either the
+      zero address for Ether or an accepted ERC-20 token. This is ignored during
+      the presale, where the token of the whitelist applies.
+  */
+  function mint (
+    uint256 _amount,
+    WhitelistProof calldata _whitelist,
+    address _token
+  ) external payable nonReentrant {
+    validatePurchase(_amount);
 
     /*
       If the current timestamp is greater than this contract's `startTime`, the
@@ -434,7 +1924,7 @@ contract DropAuctionShop721 is
       functionality.
     */
     if (block.timestamp >= startTime) {
-      sellPublic(_amount);
+      sellPublic(_amount, _token);
 
     /*
       Otherwise, since the public sale has not begun, attempt to sell to this
@@ -443,21 +1933,450 @@ contract DropAuctionShop721 is
     } else {
       sellWhitelist(_amount, _whitelist);
     }
+    completePurchase(_amount);
+  }
 
-    // Update the count of items sold.
-    sold += _amount;
+  /**
+    Allow a caller who is on several presale whitelists to purchase items using
+    the combined allowance of those whitelists in a single transaction. Once the
+    public sale has begun, this behaves exactly like `mint` paying in Ether.
 
-    // Update the caller's purchase count.
-    purchaseCounts[_msgSender()] += _amount;
+    @param _amount The amount of items that the caller would like to purchase.
+    @param _whitelists The caller-submitted whitelist proofs, ordered by
+      ascending whitelist ID. Each whitelist's portion of the purchase is
+      charged at its own price and in its own token.
+  */
+  function mintMultiple (
+    uint256 _amount,
+    WhitelistProof[] calldata _whitelists
+  ) external payable nonReentrant {
+    validatePurchase(_amount);
+    if (block.timestamp >= startTime) {
+      sellPublic(_amount, address(0));
+    } else {
+      sellWhitelists(_amount, _whitelists);
+    }
+    completePurchase(_amount);
+  }
+
+  /**
+    Allow a caller who is on several presale whitelists to purchase items using
+    the combined allowance of those whitelists, proving every membership with a
+    single multiproof against the `multiWhitelistRoot`. This saves calldata and
+    gas over the separate proofs of `mintMultiple`. Once the public sale has
+    begun, this behaves exactly like `mint` paying in Ether.
+
+    @param _amount The amount of items that the caller would like to purchase.
+    @param _multiProof The caller-submitted multiproof of their memberships.
+      Each whitelist's portion of the purchase is charged at its own price and
+      in its own token.
+  */
+  function mintWithMultiProof (
+    uint256 _amount,
+    WhitelistMultiProof calldata _multiProof
+  ) external payable nonReentrant {
+    validatePurchase(_amount);
+    if (block.timestamp >= startTime) {
+      sellPublic(_amount, address(0));
+    } else {
+      sellWhitelistsWithMultiProof(_amount, _multiProof);
+    }
+    completePurchase(_amount);
+  }
+
+  /**
+    Allow the owner to pause or unpause purchases from the shop.
+
+    @param _paused Whether or not purchases should be paused.
+  */
+  function setPaused (
+    bool _paused
+  ) external onlyOwner {
+    paused = _paused;
+    emit PauseSet(block.timestamp, _paused);
+  }
+
+  /**
+    Allow the owner to permanently cancel the sale, putting the shop into refund
+    mode. Buyers may then return their items to reclaim what they paid. A sale
+    may not be cancelled once it has settled, so that proceeds released after
+    settlement are never owed as refunds.
+  */
+  function cancel () external onlyOwner {
+    if (cancelled) { revert CannotCancelCancelledSale(); }
+    if (settled()) { revert CannotCancelSettledSale(); }
+    cancelled = true;
+    emit SaleCancelled(block.timestamp);
+  }
+
+  /**
+    Return the amount of an asset in this shop that is reserved for refunds.
+    Until the sale settles it may yet be cancelled, and once it is cancelled
+    buyers may reclaim their payments; in either case every payment not yet
+    rebated or refunded is reserved.
+
+    @param _token The asset to check; the zero address represents Ether.
+
+    @return The amount of `_token` reserved for refunds.
+  */
+  function reservedRefunds (
+    address _token
+  ) public view returns (uint256) {
+    return (cancelled || !settled()) ? totalPayments[_token] : 0;
+  }
+
+  /**
+    A private helper function to return the balance of an asset held by this
+    shop.
+
+    @param _token The asset to check; the zero address represents Ether.
+
+    @return The balance of `_token` held by this shop.
+  */
+  function balanceOf (
+    address _token
+  ) private view returns (uint256) {
+    return _token == address(0)
+      ? address(this).balance
+      : IERC20(_token).balanceOf(address(this));
+  }
+
+  /**
+    A private helper function to return the balance of an asset held by this
+    shop that is owed to no buyer or payee. Every payment is reserved while it
+    may yet be refunded. Once the sale settles, the proceeds that payees have
+    not yet released remain reserved, as does anything owed as rebates.
+
+    @param _token The asset to check; the zero address represents Ether.
+
+    @return The unreserved balance of `_token`.
+  */
+  function unreservedBalance (
+    address _token
+  ) private view returns (uint256) {
+    uint256 reserved = reservedRefunds(_token);
+    if (!cancelled && settled()) {
+      reserved = payees.length > 0
+        ? totalPayments[_token] - totalReleased[_token]
+        : reservedRebates(_token);
+    }
+    uint256 balance = balanceOf(_token);
+    return balance > reserved ? balance - reserved : 0;
+  }
+
+  /**
+    A private helper function to determine whether a particular item was minted
+    to the caller by one of their payments in a particular asset. A single
+    payment mints at most `transactionCap` items, so only that many token IDs
+    need to be searched for the record of the payment.
+
+    @param _id The token ID of the item to check.
+    @param _token The asset to check; the zero address represents Ether.
+
+    @return Whether or not the item was bought by the caller with `_token`.
+  */
+  function paidWith (
+    uint256 _id,
+    address _token
+  ) private view returns (bool) {
+    for (uint256 i = 0; i < transactionCap && i < _id; i++) {
+      ItemPayment memory payment = itemPayments[_id - i];
+      if (payment.amount > 0) {
+        return payment.amount > i
+          && payment.buyer == _msgSender()
+          && payment.token == _token;
+      }
+    }
+    return false;
+  }
+
+  /**
+    Allow a buyer of a cancelled sale to reclaim what they paid in a particular
+    asset by returning items to the shop owner. Only the items minted to the
+    buyer by their purchases in the asset may be returned, and each only once.
+    Each item returned refunds an equal portion of the buyer's payments in the
+    asset. The buyer must first approve this shop to transfer their items.
+
+    @param _token The asset to refund; the zero address represents Ether.
+    @param _ids The IDs of the items to return.
+  */
+  function refund (
+    address _token,
+    uint256[] calldata _ids
+  ) external nonReentrant {
+    if (!cancelled) { revert CannotRefundUncancelledSale(); }
+    uint256 items = paymentItems[_token][_msgSender()];
+    if (_ids.length < 1 || _ids.length > items) {
+      revert CannotRefundUnpurchasedItems();
+    }
+    uint256 amount = payments[_token][_msgSender()] * _ids.length / items;
+
+    // Record the refund and take back the returned items.
+    payments[_token][_msgSender()] -= amount;
+    paymentItems[_token][_msgSender()] -= _ids.length;
+    totalPayments[_token] -= amount;
+    for (uint256 i = 0; i < _ids.length; i++) {
+      if (refundedItems[_ids[i]] || !paidWith(_ids[i], _token)) {
+        revert CannotRefundUnpurchasedItems();
+      }
+      refundedItems[_ids[i]] = true;
+      IERC721(collection).transferFrom(_msgSender(), owner(), _ids[i]);
+    }
+
+    // Transfer the refund.
+    if (_token == address(0)) {
+      (bool success, ) = payable(_msgSender()).call{ value: amount }("");
+      if (!success) { revert RefundTransferFailed(); }
+    } else {
+      IERC20(_token).safeTransfer(_msgSender(), amount);
+    }
+    emit Refunded(block.timestamp, _msgSender(), _token, _ids.length, amount);
+  }
+
+  /**
+    Return the number of payees between whom the shop's proceeds are split.
+
+    @return The number of payees.
+  */
+  function payeeCount () external view returns (uint256) {
+    return payees.length;
+  }
+
+  /**
+    Return the amount of an asset that a payee may currently release. This is
+    their share of the proceeds recorded from purchases in the asset, less what
+    they have already released. Payments reserved for rebates are not yet
+    proceeds, and neither is any balance sent to the shop outside of a sale.
+
+    Proceeds are not releasable at any time. Nothing may be released while
+    payments are reserved for refunds: until the sale settles it may yet be
+    cancelled, so payees must wait for it to sell out or end, and a cancelled
+    sale releases nothing at all.
+
+    @param _token The asset to check; the zero address represents Ether.
+    @param _payee The payee to check the releasable amount of.
+
+    @return The amount of `_token` releasable to `_payee`.
+  */
+  function releasable (
+    address _token,
+    address _payee
+  ) public view returns (uint256) {
+    if (cancelled || !settled()) {
+      return 0;
+    }
+    uint256 proceeds = totalPayments[_token] - reservedRebates(_token);
+    uint256 due = proceeds * shares[_payee] / BASIS_POINTS;
+    uint256 paid = released[_token][_payee];
+    return due > paid ? due - paid : 0;
+  }
+
+  /**
+    Allow a payee to release their share of the proceeds in a particular asset.
+    Proceeds are held until the sale settles and are never released from a
+    cancelled sale; see `releasable`.
+
+    @param _token The asset to release; the zero address represents Ether.
+  */
+  function release (
+    address _token
+  ) external nonReentrant {
+    uint256 payment = releasable(_token, _msgSender());
+    if (payment < 1) { revert CannotReleaseZeroPayment(); }
+
+    // Record the release before transferring the payment.
+    released[_token][_msgSender()] += payment;
+    totalReleased[_token] += payment;
+    if (_token == address(0)) {
+      (bool success, ) = payable(_msgSender()).call{ value: payment }("");
+      if (!success) { revert ReleaseTransferFailed(); }
+    } else {
+      IERC20(_token).safeTransfer(_msgSender(), payment);
+    }
+    emit PaymentReleased(block.timestamp, _token, _msgSender(), payment);
+  }
+
+  /**
+    Allow a caller to purchase items from a whitelist with a signature from the
+    trusted `signer`, alongside the merkle proofs accepted by `mint`. Once the
+    public sale has begun, this behaves exactly like `mint` paying in Ether.
+
+    @param _amount The amount of items that the caller would like to purchase.
+    @param _purchase The caller-submitted signed purchase.
+  */
+  function mintSigned (
+    uint256 _amount,
+    SignedPurchase calldata _purchase
+  ) external payable nonReentrant {
+    validatePurchase(_amount);
+    if (block.timestamp >= startTime) {
+      sellPublic(_amount, address(0));
+    } else {
+      sellSigned(_amount, _purchase);
+    }
+    completePurchase(_amount);
+  }
+
+  /**
+    Allow the owner to mint items from the reserve to many recipients in a
+    single call, such as for team reserves and giveaways. Reserve mints count
+    against the `reserveCap` rather than the `totalCap` of items sold.
+
+    @param _recipients The recipients of the minted items.
+    @param _amounts The number of items to mint to each recipient.
+  */
+  function airdrop (
+    address[] calldata _recipients,
+    uint256[] calldata _amounts
+  ) external onlyOwner nonReentrant {
+    if (_recipients.length != _amounts.length) {
+      revert CannotAirdropWithMismatchedLengths();
+    }
+    uint256 total = 0;
+    for (uint256 i = 0; i < _amounts.length; i++) {
+      total += _amounts[i];
+    }
+    if (reserveMinted + total > reserveCap) { revert CannotExceedReserveCap(); }
+    reserveMinted += total;
 
     // Mint the items.
-    ITiny721(collection).mint_Qgo(_msgSender(), _amount);
+    for (uint256 i = 0; i < _recipients.length; i++) {
+      ITiny721(collection).mint_Qgo(_recipients[i], _amounts[i]);
+    }
+    emit ReserveMinted(block.timestamp, _recipients, _amounts);
+  }
+
+  /**
+    Return the number of items that the owner may still mint from the reserve.
+
+    @return The number of items remaining in the reserve.
+  */
+  function remainingReserve () external view returns (uint256) {
+    return reserveCap - reserveMinted;
+  }
+
+  /**
+    Return the total number of items minted by the shop, both sold and minted
+    from the reserve.
+
+    @return The total number of items minted by the shop.
+  */
+  function minted () external view returns (uint256) {
+    return sold + reserveMinted;
+  }
+
+  /**
+    A private helper function to return the time at which the public sale price
+    next drops below the current price.
+
+    @return The time of the next price drop, or zero if the price will not drop
+      again before the sale ends.
+  */
+  function nextPriceTime () private view returns (uint256) {
+    uint256 price = currentPrice();
+    if (price <= endingPrice) {
+      return 0;
+    }
+
+    // Find the first step that has yet to begin and lowers the price.
+    uint256 next = 0;
+    if (curve == PriceCurve.Steps) {
+      for (uint256 i = 0; i < priceSteps.length; i++) {
+        uint256 stepTime = priceSteps[i].timestamp > startTime
+          ? priceSteps[i].timestamp
+          : startTime + 1;
+        if (stepTime > block.timestamp && priceSteps[i].price < price) {
+          next = stepTime;
+          break;
+        }
+      }
+
+    // Otherwise, find the start of the next tick.
+    } else if (block.timestamp < startTime) {
+      next = startTime + tickDuration;
+    } else {
+      uint256 ticksElapsed = (block.timestamp - startTime) / tickDuration;
+      next = startTime + (ticksElapsed + 1) * tickDuration;
+    }
+    return next < endTime ? next : 0;
+  }
+
+  /**
+    Return a summary of the state of the sale for a particular caller in a
+    single call, for use by a minting interface.
+
+    @param _caller The caller to summarize the remaining purchases of.
+
+    @return A `SaleStatus` summarizing the sale.
+  */
+  function saleStatus (
+    address _caller
+  ) external view returns (SaleStatus memory) {
+    SaleStatus memory status;
+
+    // Find every whitelist that is currently active.
+    uint256 activeCount = 0;
+    bool[] memory active = new bool[](whitelistCount);
+    for (uint256 i = 0; i < whitelistCount; i++) {
+      active[i] = !cancelled
+        && block.timestamp < startTime
+        && block.timestamp >= whitelists[i].startTime
+        && block.timestamp <= whitelists[i].endTime;
+      if (active[i]) {
+        activeCount++;
+      }
+    }
+    status.remaining = totalCap > sold ? totalCap - sold : 0;
+    status.activeWhitelists = new uint256[](activeCount);
+    status.whitelistRemaining = new uint256[](activeCount);
+    status.callerWhitelistPurchases = new uint256[](activeCount);
+    uint256 index = 0;
+    for (uint256 i = 0; i < whitelistCount; i++) {
+      if (active[i]) {
+        status.activeWhitelists[index] = i;
+        status.whitelistRemaining[index] = status.remaining;
+        uint256 cap = whitelists[i].cap;
+        if (cap > 0) {
+          uint256 supply = cap > whitelistSold[i] ? cap - whitelistSold[i] : 0;
+          if (supply < status.remaining) {
+            status.whitelistRemaining[index] = supply;
+          }
+        }
+        status.callerWhitelistPurchases[index] = whitelistPurchases[i][_caller];
+        index++;
+      }
+    }
+
+    // Determine the current phase of the sale.
+    if (cancelled) {
+      status.phase = SalePhase.Cancelled;
+    } else if (block.timestamp >= endTime || sold >= totalCap) {
+      status.phase = SalePhase.Ended;
+    } else if (block.timestamp >= startTime) {
+      status.phase = SalePhase.Public;
+    } else if (activeCount > 0) {
+      status.phase = SalePhase.Whitelist;
+    } else {
+      status.phase = SalePhase.PreSale;
+    }
+
+    // Summarize the price, supply, and the caller's remaining public purchases.
+    status.price = currentPrice();
+    status.nextPriceTime = nextPriceTime();
+    status.sold = sold;
+    status.remainingReserve = reserveCap - reserveMinted;
+    status.paused = paused;
+    status.callerPublicRemaining = remainingPublicAllowance(_caller);
+    return status;
   }
 
   /**
     Allow the owner to sweep either Ether or a particular ERC-20 token from the
     contract and send it to another address. This allows the owner of the shop
-    to withdraw their funds after the sale is completed.
+    to withdraw their funds after the sale is completed. Funds that are or may
+    yet be owed to buyers as rebates or refunds may not be swept. A shop that
+    splits its proceeds between payees may only have the balance owed to no
+    payee swept, such as assets sent to the shop by mistake.
 
     @param _token The token to sweep the balance from; if a zero address is sent
       then the contract's balance of Ether will be swept.
@@ -470,6 +2389,23 @@ contract DropAuctionShop721 is
     uint256 _amount
   ) external onlyOwner nonReentrant {
 
+    // Funds that may yet be owed to buyers as rebates may not be swept.
+    if (_amount > balanceOf(_token) - reservedRebates(_token)) {
+      revert CannotSweepOwedRebates();
+    }
+
+    /*
+      Payments may not be swept while they may yet be owed to buyers as
+      refunds, either before the sale settles or once it is cancelled. After
+      settlement, proceeds not yet released to payees may not be swept.
+    */
+    if (_amount > unreservedBalance(_token)) {
+      if (!cancelled && settled() && payees.length > 0) {
+        revert CannotSweepSplitProceeds();
+      }
+      revert CannotSweepOwedRefunds();
+    }
+
     // A zero address means we should attempt to sweep Ether.
     if (_token == address(0)) {
       (bool success, ) = payable(_destination).call{ value: _amount }("");
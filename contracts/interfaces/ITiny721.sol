@@ -11,7 +11,7 @@ pragma solidity ^0.8.11;
 
   Compared to the original `Super721` implementation that this contract forked
   from, this is a very pared-down contract that includes simple delegated
-  minting and transfer locks.
+  minting, burning, and transfer locks.
 
   This contract includes the gas efficiency techniques graciously shared with
   the world in the specific ERC-721 implementation by Chiru Labs that is being
@@ -34,12 +34,21 @@ interface ITiny721 {
   ) external returns (bool);
 
   /**
-    Return the total number of this token that have ever been minted.
+    Return the total number of this token that currently exist; that is, the
+    number of tokens minted less the number of tokens burnt.
 
-    @return The total supply of minted tokens.
+    @return The total supply of existing tokens.
   */
   function totalSupply () external returns (uint256);
 
+  /**
+    Return the total number of this token that have ever been minted, including
+    any tokens that have since been burnt.
+
+    @return The total number of minted tokens.
+  */
+  function totalMinted () external returns (uint256);
+
   /**
     Return the address that holds a particular token ID.
 
@@ -5,6 +5,7 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 import "../interfaces/ITiny721.sol";
 
@@ -14,10 +15,21 @@ import "../interfaces/ITiny721.sol";
   conditions later in this contract. Thanks, Chiru Labs!
 */
 error CannotHaveEmptyEmissionSchedule();
+error CannotHaveUnsortedEmissionSchedule();
+error CannotRewriteEmissionHistory();
 error CannotCalculateEmissions();
 error CannotAddPoolWithoutEmissionSchedule();
 error CannotDepositInactivePool();
+error CannotDepositPausedPool();
 error CannotDepositUnownedToken();
+error CannotVerifyItemWeight();
+error CannotSetItemWeightsWithMismatchedLengths();
+error CannotWithdrawUnstakedToken();
+error CannotWithdrawLockedToken();
+error CannotSetInvalidLockPenalty();
+error CannotSpendPointsAsUnapprovedSpender();
+error CannotSpendInsufficientPoints();
+error CannotConfigureNonexistentRewardToken();
 error SweepingTransferFailed();
 
 /**
@@ -27,6 +39,12 @@ error SweepingTransferFailed();
 
   This staking contract disburses tokens from its internal reservoir according
   to a fixed emission schedule. Assets can be assigned varied staking weights.
+  Alongside tokens, stakers accrue non-transferable points according to a
+  separate emission schedule; points may be spent by approved spenders. The
+  owner may also attach additional reward tokens to co-incentivize pools, each
+  with its own emission schedule and pool strengths. Individual items may carry
+  a staking weight, set directly by the owner or proven against a merkle root of
+  token ID weights, so that rarer items earn proportionally more.
 
   March 1st, 2022.
 */
@@ -68,8 +86,28 @@ contract Staker is
   */
   mapping ( uint256 => EmissionPoint ) public tokenEmissionBlocks;
 
-  /// We track the earliest possible emission timestamp for quick reference.
-  uint256 private earliestTokenEmissionTime;
+  /**
+    The number of point emission points that have been added. This is used for
+    looking up specific emission point details from `pointEmissionBlocks`.
+  */
+  uint256 public pointEmissionBlockCount;
+
+  /**
+    A mapping to look up details about specific `EmissionPoint` entries in the
+    point emission schedule.
+  */
+  mapping ( uint256 => EmissionPoint ) public pointEmissionBlocks;
+
+  /// The denominator used when calculating basis point penalties.
+  uint256 private constant BASIS_POINTS = 10000;
+
+  /**
+    The address which receives reward tokens forfeited by callers who withdraw
+    items before their minimum lock duration has elapsed. If this is the zero
+    address, forfeited reward tokens are instead redistributed to the remaining
+    stakers of the pool that they were forfeited from.
+  */
+  address public treasury;
 
   /**
     This struct is used to define information regarding a particular pool that
@@ -77,56 +115,461 @@ contract Staker is
 
     @param item The address of the item contract that is allowed to be staked in
       this pool.
-    @param amount The number of specific items from the `item` contract that are
-      staked in this pool.
+    @param amount The summed staking weight of all items from the `item`
+      contract that are staked in this pool.
     @param strength The relative token emission strength of this pool.
     @param tokensPerShare The accumulated tokens per share of this pool; this
       figure includes a scaling factor of 1e12. This figure is updated as users
       stake and unstake assets with this pool.
+    @param pointsPerShare The accumulated points per share of this pool; this
+      figure includes a scaling factor of 1e30. This figure is updated as users
+      stake and unstake assets with this pool.
     @param lastRewardTime The last block timestamp where token distribution
       occurred. This is used to properly track user balances when staking.
+    @param lockDuration The minimum duration, in seconds, that each item must
+      remain staked in this pool after being deposited.
+    @param lockPenalty The share, in basis points, of accrued rewards that a
+      caller forfeits when withdrawing items before their `lockDuration` has
+      elapsed. If this is zero, such early withdrawals are rejected outright.
   */
   struct Pool {
     address item;
     uint256 amount;
     uint256 strength;
     uint256 tokensPerShare;
+    uint256 pointsPerShare;
     uint256 lastRewardTime;
+    uint256 lockDuration;
+    uint256 lockPenalty;
   }
 
   /// A mapping with to look up information for each specific pool.
   mapping ( uint256 => Pool ) public pools;
 
+  /**
+    An array of the IDs of every `Pool` that has been added to this Staker. This
+    is used for iterating through all pools when claiming or checking rewards.
+  */
+  uint256[] public poolIds;
+
   /**
     This struct is used to define information regarding a particular caller's
     position in a particular pool.
 
-    @param amount The number of items that the caller has staked into a
-      particular pool.
+    @param amount The summed staking weight of the items that the caller has
+      staked into a particular pool.
     @param tokenPaid The value of the caller's total earning that has been paid
       out in this position. This is used to track the pending reward due to this
       position.
+    @param tokenOwed The amount of reward tokens that have been accrued by this
+      position but not yet transferred to the caller. Rewards are held here
+      while any of the caller's items in the pool remain within their minimum
+      lock duration.
+    @param pointPaid The value of the caller's total points earning that has
+      been credited to this position. This is used to track the pending points
+      due to this position.
   */
   struct Position {
     uint256 amount;
     uint256 tokenPaid;
+    uint256 tokenOwed;
+    uint256 pointPaid;
   }
 
+  /**
+    Whether or not this Staker is paused globally. While paused, no pool accepts
+    new deposits or emits rewards.
+  */
+  bool public paused;
+
+  /**
+    A mapping from a particular `Pool` ID to whether or not that pool is paused.
+    While paused, the pool accepts no new deposits and emits no rewards.
+  */
+  mapping ( uint256 => bool ) public poolPaused;
+
   /**
     A mapping from a particular `Pool` ID to a mapping of each caller's
     `Position` in that pool.
   */
   mapping ( uint256 => mapping ( address => Position )) public positions;
 
+  /**
+    This struct is used to record details about a particular item that has been
+    staked into a particular pool.
+
+    @param staker The address of the caller who staked this item and who is the
+      only caller that may withdraw it.
+    @param index The index of this item's token ID within the array of token IDs
+      staked by `staker` in the pool. This is used to efficiently remove the item
+      from that array upon withdrawal.
+    @param depositTime The timestamp when this item was staked. This is used to
+      enforce the minimum lock duration of the pool.
+    @param weight The staking weight that this item contributed to the pool when
+      it was deposited.
+  */
+  struct StakedItem {
+    address staker;
+    uint256 index;
+    uint256 depositTime;
+    uint256 weight;
+  }
+
+  /**
+    A mapping from a particular `Pool` ID to a mapping of token IDs to the
+    owner-set staking weight of that item. Items without a weight here or in the
+    pool's weight root have a weight of one.
+  */
+  mapping ( uint256 => mapping ( uint256 => uint256 )) public itemWeights;
+
+  /**
+    This struct is used to define the merkle tree of item weights of a pool.
+
+    @param root The root hash of the merkle tree of item weights.
+    @param sorted Whether `root` is the root of a sorted-pair merkle tree whose
+      leaves are the double hash of an ABI-encoded token ID and weight, as
+      produced by OpenZeppelin's `StandardMerkleTree` or by `HashTree` in sorted
+      mode. Otherwise, each leaf of the tree is the hash of its index, a token
+      ID, and the staking weight of that token ID, as constructed by `HashTree`.
+  */
+  struct WeightRoot {
+    bytes32 root;
+    bool sorted;
+  }
+
+  /**
+    A mapping from a particular `Pool` ID to the `WeightRoot` of the merkle tree
+    of its item weights.
+  */
+  mapping ( uint256 => WeightRoot ) public weightRoots;
+
+  /**
+    This struct is used to prove the staking weight of a particular item against
+    the weight root of a pool.
+
+    @param tokenId The token ID of the item being deposited.
+    @param index The index of the item's leaf in the merkle tree of weights.
+      This is ignored by sorted merkle trees.
+    @param weight The staking weight of the item.
+    @param proof The merkle hashes proving the item's leaf against the root.
+  */
+  struct WeightProof {
+    uint256 tokenId;
+    uint256 index;
+    uint256 weight;
+    bytes32[] proof;
+  }
+
+  /**
+    A mapping from a particular `Pool` ID to a mapping of each staked token ID to
+    the `StakedItem` details of that item.
+  */
+  mapping ( uint256 => mapping ( uint256 => StakedItem )) public stakedItems;
+
+  /**
+    A mapping from a particular `Pool` ID to a mapping of each caller's array of
+    token IDs staked in that pool.
+  */
+  mapping ( uint256 => mapping ( address => uint256[] )) private stakedIds;
+
   /// The total sum of the strength of all `Pool`s in `pools`.
   uint256 public totalTokenStrength;
 
   /// The total amount of the disbursed `token` ever emitted by this Staker.
   uint256 public totalTokenDisbursed;
 
-  // TODO
-  // event Deposit(address indexed user, IERC20 indexed token, uint256 amount);
-  // event Withdraw(address indexed user, IERC20 indexed token, uint256 amount);
+  /**
+    A mapping from each caller to their balance of points. Points may not be
+    transferred and may only be spent by approved `pointSpenders`.
+  */
+  mapping ( address => uint256 ) public userPoints;
+
+  /// The total number of points ever credited to callers by this Staker.
+  uint256 public totalPointsEarned;
+
+  /**
+    A mapping to track the addresses, such as redemption shop contracts, which
+    the owner has approved to spend the points of callers.
+  */
+  mapping ( address => bool ) public pointSpenders;
+
+  /**
+    This struct is used to define an additional reward token that this Staker
+    disburses alongside `token` according to its own emission schedule.
+
+    @param token The address of the additional reward token.
+    @param emissionBlockCount The number of emission points in the emission
+      schedule of this reward token. This is used for looking up specific
+      emission point details from `rewardEmissionBlocks`.
+    @param totalStrength The total sum of the strength of all `Pool`s in earning
+      this reward token.
+    @param totalDisbursed The total amount of this reward token ever emitted by
+      this Staker.
+  */
+  struct RewardToken {
+    address token;
+    uint256 emissionBlockCount;
+    uint256 totalStrength;
+    uint256 totalDisbursed;
+  }
+
+  /**
+    The number of additional reward tokens that have been added. This is used
+    for looking up specific reward token details from `rewardTokens`.
+  */
+  uint256 public rewardTokenCount;
+
+  /// A mapping to look up details about each additional reward token by its ID.
+  mapping ( uint256 => RewardToken ) public rewardTokens;
+
+  /**
+    A mapping from the ID of an additional reward token to a mapping to look up
+    details about specific `EmissionPoint` entries in its emission schedule.
+  */
+  mapping ( uint256 => mapping ( uint256 => EmissionPoint ))
+    public rewardEmissionBlocks;
+
+  /**
+    A mapping from the ID of an additional reward token to a mapping of each
+    `Pool` ID to the relative strength of that pool in earning the token.
+  */
+  mapping ( uint256 => mapping ( uint256 => uint256 )) public rewardStrengths;
+
+  /**
+    A mapping from the ID of an additional reward token to a mapping of each
+    `Pool` ID to the accumulated reward tokens per share of that pool; this
+    figure includes a scaling factor of 1e12.
+  */
+  mapping ( uint256 => mapping ( uint256 => uint256 )) public rewardsPerShare;
+
+  /**
+    A mapping from the ID of an additional reward token to a mapping of each
+    `Pool` ID to a mapping of each caller's total earning of the reward token
+    that has been accounted for in their position. This mirrors the `tokenPaid`
+    field of a `Position`.
+  */
+  mapping ( uint256 => mapping ( uint256 => mapping ( address => uint256 )))
+    public rewardPaid;
+
+  /**
+    A mapping from the ID of an additional reward token to a mapping of each
+    `Pool` ID to a mapping of each caller's accrued reward tokens which have not
+    yet been transferred. This mirrors the `tokenOwed` field of a `Position`.
+  */
+  mapping ( uint256 => mapping ( uint256 => mapping ( address => uint256 )))
+    public rewardOwed;
+
+  /**
+    This struct is used to describe a particular stream of reward tokens earned
+    by a particular `Pool` when listing the rewards of that pool.
+
+    @param token The address of the reward token.
+    @param strength The relative strength of the pool in earning this reward.
+    @param totalStrength The total sum of the strength of all pools in earning
+      this reward.
+  */
+  struct PoolReward {
+    address token;
+    uint256 strength;
+    uint256 totalStrength;
+  }
+
+  /**
+    An event emitted when a caller stakes an item into a pool.
+
+    @param timestamp The timestamp of the deposit.
+    @param caller The caller who staked the item.
+    @param poolId The ID of the `Pool` that the item was staked into.
+    @param id The token ID of the staked item within the pool's item contract.
+  */
+  event Deposit (
+    uint256 timestamp,
+    address indexed caller,
+    uint256 indexed poolId,
+    uint256 indexed id
+  );
+
+  /**
+    An event emitted when a caller unstakes an item from a pool.
+
+    @param timestamp The timestamp of the withdrawal.
+    @param caller The caller who unstaked the item.
+    @param poolId The ID of the `Pool` that the item was unstaked from.
+    @param id The token ID of the unstaked item within the pool's item contract.
+  */
+  event Withdraw (
+    uint256 timestamp,
+    address indexed caller,
+    uint256 indexed poolId,
+    uint256 indexed id
+  );
+
+  /**
+    An event emitted when a caller claims their accrued reward tokens from a
+    pool.
+
+    @param timestamp The timestamp of the claim.
+    @param caller The caller who claimed the reward tokens.
+    @param poolId The ID of the `Pool` that the reward tokens were claimed from.
+    @param asset The address of the reward token claimed.
+    @param amount The amount of reward tokens claimed.
+  */
+  event Claim (
+    uint256 timestamp,
+    address indexed caller,
+    uint256 indexed poolId,
+    address indexed asset,
+    uint256 amount
+  );
+
+  /**
+    An event emitted when a caller forfeits reward tokens by withdrawing items
+    from a pool before their minimum lock duration has elapsed.
+
+    @param timestamp The timestamp of the forfeiture.
+    @param caller The caller who forfeited the reward tokens.
+    @param poolId The ID of the `Pool` that the items were withdrawn from.
+    @param asset The address of the reward token forfeited.
+    @param amount The amount of reward tokens forfeited.
+  */
+  event Forfeit (
+    uint256 timestamp,
+    address indexed caller,
+    uint256 indexed poolId,
+    address indexed asset,
+    uint256 amount
+  );
+
+  /**
+    An event emitted when points are credited to a caller from a pool.
+
+    @param timestamp The timestamp of the accrual.
+    @param staker The caller who was credited the points.
+    @param poolId The ID of the `Pool` that the points were accrued from.
+    @param amount The number of points credited.
+  */
+  event PointsAccrued (
+    uint256 timestamp,
+    address indexed staker,
+    uint256 indexed poolId,
+    uint256 amount
+  );
+
+  /**
+    An event emitted when an approved spender spends the points of a caller.
+
+    @param timestamp The timestamp of the spend.
+    @param spender The approved spender which spent the points.
+    @param staker The caller whose points were spent.
+    @param amount The number of points spent.
+  */
+  event PointsSpent (
+    uint256 timestamp,
+    address indexed spender,
+    address indexed staker,
+    uint256 amount
+  );
+
+  /**
+    An event emitted when the owner sets a new emission schedule.
+
+    @param timestamp The timestamp of the schedule change.
+    @param asset The address of the reward token whose emission schedule was
+      set, or the zero address for the point emission schedule.
+    @param schedule The new emission schedule.
+  */
+  event EmissionsSet (
+    uint256 timestamp,
+    address indexed asset,
+    EmissionPoint[] schedule
+  );
+
+  /**
+    An event emitted when the owner sets the strength of a pool in earning a
+    particular reward token.
+
+    @param timestamp The timestamp of the strength change.
+    @param poolId The ID of the `Pool` whose strength was set.
+    @param asset The address of the reward token that the strength applies to.
+    @param strength The new relative strength of the pool.
+  */
+  event StrengthSet (
+    uint256 timestamp,
+    uint256 indexed poolId,
+    address indexed asset,
+    uint256 strength
+  );
+
+  /**
+    An event emitted when a caller performs an emergency withdrawal of all of
+    their items from a pool, abandoning any rewards.
+
+    @param timestamp The timestamp of the emergency withdrawal.
+    @param caller The caller who withdrew their items.
+    @param poolId The ID of the `Pool` that the items were withdrawn from.
+    @param amount The number of items withdrawn.
+  */
+  event EmergencyWithdraw (
+    uint256 timestamp,
+    address indexed caller,
+    uint256 indexed poolId,
+    uint256 amount
+  );
+
+  /**
+    An event emitted when the owner pauses or unpauses this Staker globally.
+
+    @param timestamp The timestamp of the pause change.
+    @param paused Whether or not the Staker is now paused.
+  */
+  event PauseSet (
+    uint256 timestamp,
+    bool paused
+  );
+
+  /**
+    An event emitted when the owner pauses or unpauses a particular pool.
+
+    @param timestamp The timestamp of the pause change.
+    @param poolId The ID of the `Pool` whose pause status changed.
+    @param paused Whether or not the pool is now paused.
+  */
+  event PoolPauseSet (
+    uint256 timestamp,
+    uint256 indexed poolId,
+    bool paused
+  );
+
+  /**
+    An event emitted when the owner sets staking weights for particular items.
+
+    @param timestamp The timestamp of the weight change.
+    @param poolId The ID of the `Pool` whose item weights were set.
+    @param tokenIds The token IDs of the items whose weights were set.
+    @param weights The new staking weights of each item.
+  */
+  event ItemWeightsSet (
+    uint256 timestamp,
+    uint256 indexed poolId,
+    uint256[] tokenIds,
+    uint256[] weights
+  );
+
+  /**
+    An event emitted when the owner sets the merkle root of item weights for a
+    pool.
+
+    @param timestamp The timestamp of the root change.
+    @param poolId The ID of the `Pool` whose weight root was set.
+    @param root The new merkle root of item weights.
+    @param sorted Whether the new root is of a sorted merkle tree.
+  */
+  event WeightRootSet (
+    uint256 timestamp,
+    uint256 indexed poolId,
+    bytes32 root,
+    bool sorted
+  );
 
   /**
     Construct a new Staker by providing it a name and the token to disburse.
@@ -140,23 +583,27 @@ contract Staker is
   ) {
     name = _name;
     token = _token;
-    earliestTokenEmissionTime = type(uint256).max;
   }
 
   /**
-    Uses the emission schedule to calculate the total amount of staking reward
-    token that was emitted between two specified timestamps.
+    A private helper function to use an emission schedule to calculate the
+    total amount of some reward that was emitted between two specified
+    timestamps.
 
+    @param _schedule The mapping of `EmissionPoint`s of the emission schedule.
+    @param _count The number of `EmissionPoint`s in `_schedule`.
     @param _from The time to begin calculating emissions from.
     @param _to The time to calculate total emissions up to.
 
-    @return The total amount of `token` that was emitted by this Staker between
+    @return The total amount of reward that was emitted by `_schedule` between
       `_from` and `_to`.
   */
-  function getTotalEmittedTokens (
+  function _getTotalEmitted (
+    mapping ( uint256 => EmissionPoint ) storage _schedule,
+    uint256 _count,
     uint256 _from,
     uint256 _to
-  ) public view returns (uint256) {
+  ) private view returns (uint256) {
 
     // Reject invalid emissions calculations.
     if (_to < _from) {
@@ -166,23 +613,23 @@ contract Staker is
     /*
       Iterate through the emission point schedule and compare the timestamp of
       each `EmissionPoint` against `_from` and `_to` to compute the number of
-      emitted tokens given the rate at each point.
+      emitted rewards given the rate at each point.
     */
-    uint256 totalEmittedTokens = 0;
+    uint256 totalEmitted = 0;
     uint256 workingRate = 0;
     uint256 workingTime = _from;
-    for (uint256 i = 0; i < tokenEmissionBlockCount; i += 1) {
-      uint256 emissionTime = tokenEmissionBlocks[i].timestamp;
-      uint256 emissionRate = tokenEmissionBlocks[i].rate;
+    for (uint256 i = 0; i < _count; i += 1) {
+      uint256 emissionTime = _schedule[i].timestamp;
+      uint256 emissionRate = _schedule[i].rate;
 
       // If this point is after `_to`, we may return with the prior rate.
       if (_to < emissionTime) {
-        totalEmittedTokens += ((_to - workingTime) * workingRate);
-        return totalEmittedTokens;
+        totalEmitted += ((_to - workingTime) * workingRate);
+        return totalEmitted;
 
-      // Otherwise, update our token emission and our working time.
+      // Otherwise, update our emission and our working time.
       } else if (workingTime < emissionTime) {
-        totalEmittedTokens += ((emissionTime - workingTime) * workingRate);
+        totalEmitted += ((emissionTime - workingTime) * workingRate);
         workingTime = emissionTime;
       }
 
@@ -192,52 +639,182 @@ contract Staker is
 
     // Count the final portion of the emission schedule and return.
     if (workingTime < _to) {
-      totalEmittedTokens += ((_to - workingTime) * workingRate);
+      totalEmitted += ((_to - workingTime) * workingRate);
     }
-    return totalEmittedTokens;
+    return totalEmitted;
   }
 
   /**
-    Set a new emission schedule for this Staker. This overwrites the old
-    emission schedule.
+    Uses the emission schedule to calculate the total amount of staking reward
+    token that was emitted between two specified timestamps.
 
-    @param _schedule An array of `EmissionPoint`s defining the token
-      emission schedule.
+    @param _from The time to begin calculating emissions from.
+    @param _to The time to calculate total emissions up to.
+
+    @return The total amount of `token` that was emitted by this Staker between
+      `_from` and `_to`.
   */
-  function setEmissions (
+  function getTotalEmittedTokens (
+    uint256 _from,
+    uint256 _to
+  ) public view returns (uint256) {
+    return _getTotalEmitted(
+      tokenEmissionBlocks,
+      tokenEmissionBlockCount,
+      _from,
+      _to
+    );
+  }
+
+  /**
+    Uses the point emission schedule to calculate the total amount of points
+    that were emitted between two specified timestamps.
+
+    @param _from The time to begin calculating emissions from.
+    @param _to The time to calculate total emissions up to.
+
+    @return The total amount of points that were emitted by this Staker between
+      `_from` and `_to`.
+  */
+  function getTotalEmittedPoints (
+    uint256 _from,
+    uint256 _to
+  ) public view returns (uint256) {
+    return _getTotalEmitted(
+      pointEmissionBlocks,
+      pointEmissionBlockCount,
+      _from,
+      _to
+    );
+  }
+
+  /**
+    Uses the emission schedule of an additional reward token to calculate the
+    total amount of that token that was emitted between two specified
+    timestamps.
+
+    @param _rewardId The ID of the additional reward token.
+    @param _from The time to begin calculating emissions from.
+    @param _to The time to calculate total emissions up to.
+
+    @return The total amount of the reward token that was emitted by this Staker
+      between `_from` and `_to`.
+  */
+  function getTotalEmittedRewards (
+    uint256 _rewardId,
+    uint256 _from,
+    uint256 _to
+  ) public view returns (uint256) {
+    return _getTotalEmitted(
+      rewardEmissionBlocks[_rewardId],
+      rewardTokens[_rewardId].emissionBlockCount,
+      _from,
+      _to
+    );
+  }
+
+  /**
+    A private helper function to validate and store a new emission schedule in
+    place of an old one. Every pool is updated first so that rewards accrued
+    under the old schedule up to the current time are preserved. Timestamps in
+    the schedule must be strictly ascending and only the first point of the
+    schedule may lie in the past, in which case its rate applies from now on.
+
+    @param _blocks The mapping of `EmissionPoint`s to store the schedule in.
+    @param _oldCount The number of `EmissionPoint`s in the old schedule.
+    @param _schedule An array of `EmissionPoint`s defining the new schedule.
+  */
+  function _setEmissionSchedule (
+    mapping ( uint256 => EmissionPoint ) storage _blocks,
+    uint256 _oldCount,
     EmissionPoint[] memory _schedule
-  ) external onlyOwner {
+  ) private {
 
     // An emission schedule must consist of at least one point.
     if (_schedule.length < 1) {
       revert CannotHaveEmptyEmissionSchedule();
     }
 
-    // Set the new emission schedule.
-    tokenEmissionBlockCount = _schedule.length;
-    for (uint256 i = 0; i < tokenEmissionBlockCount; i++) {
-      tokenEmissionBlocks[i] = _schedule[i];
-
-      // Record the earliest token emission time for calculating earning rates.
-      if (earliestTokenEmissionTime > _schedule[i].timestamp) {
-        earliestTokenEmissionTime = _schedule[i].timestamp;
+    // Validate the ordering of the schedule and prevent rewriting history.
+    for (uint256 i = 1; i < _schedule.length; i += 1) {
+      if (_schedule[i].timestamp <= _schedule[i - 1].timestamp) {
+        revert CannotHaveUnsortedEmissionSchedule();
+      }
+      if (_schedule[i].timestamp < block.timestamp) {
+        revert CannotRewriteEmissionHistory();
       }
     }
+
+    // Settle every pool's rewards under the old schedule.
+    _updatePools();
+
+    // Set the new emission schedule and clear any stale points.
+    for (uint256 i = 0; i < _schedule.length; i += 1) {
+      _blocks[i] = _schedule[i];
+    }
+    for (uint256 i = _schedule.length; i < _oldCount; i += 1) {
+      delete _blocks[i];
+    }
+  }
+
+  /**
+    Set a new emission schedule for this Staker. This overwrites the old
+    emission schedule from the current time onwards.
+
+    @param _schedule An array of `EmissionPoint`s defining the token
+      emission schedule.
+  */
+  function setEmissions (
+    EmissionPoint[] memory _schedule
+  ) external onlyOwner {
+    _setEmissionSchedule(
+      tokenEmissionBlocks,
+      tokenEmissionBlockCount,
+      _schedule
+    );
+    tokenEmissionBlockCount = _schedule.length;
+    emit EmissionsSet(block.timestamp, token, _schedule);
+  }
+
+  /**
+    Set a new point emission schedule for this Staker. This overwrites the old
+    point emission schedule from the current time onwards.
+
+    @param _schedule An array of `EmissionPoint`s defining the point emission
+      schedule.
+  */
+  function setPointEmissions (
+    EmissionPoint[] memory _schedule
+  ) external onlyOwner {
+    _setEmissionSchedule(
+      pointEmissionBlocks,
+      pointEmissionBlockCount,
+      _schedule
+    );
+    pointEmissionBlockCount = _schedule.length;
+    emit EmissionsSet(block.timestamp, address(0), _schedule);
   }
 
-  // TODO: minimum pool lock times.
   /**
     Allow the contract owner to add a new staking `Pool` to the Staker or
-    overwrite the configuration of an existing one.
+    overwrite the configuration of an existing one. Every pool is updated first
+    so that rewards accrued under the old strengths are preserved. Changes to
+    the lock duration of a pool apply to items that are already staked in it.
 
     @param _id The ID of the `Pool` to add or update.
     @param _strength The relative strength of this item pool in earning tokens.
     @param _item The address of the item contract that is staked in this pool.
+    @param _lockDuration The minimum duration, in seconds, that each item must
+      remain staked in this pool.
+    @param _lockPenalty The share, in basis points, of accrued rewards that are
+      forfeited when withdrawing items early; zero rejects early withdrawals.
   */
   function setPool (
     uint256 _id,
     uint256 _strength,
-    address _item
+    address _item,
+    uint256 _lockDuration,
+    uint256 _lockPenalty
   ) external onlyOwner {
 
     // Restrict owners from adding asset pools if there is no emission schedule.
@@ -245,122 +822,806 @@ contract Staker is
       revert CannotAddPoolWithoutEmissionSchedule();
     }
 
-    // Find the time of the last token reward update.
-    uint256 lastTokenRewardTime = block.timestamp > earliestTokenEmissionTime
-      ? block.timestamp
-      : earliestTokenEmissionTime;
+    // A caller may not forfeit more than all of their rewards.
+    if (_lockPenalty > BASIS_POINTS) {
+      revert CannotSetInvalidLockPenalty();
+    }
+
+    // Settle every pool's rewards under the old strengths.
+    _updatePools();
+
+    // Record the ID of any newly-added pool, which begins earning rewards now.
+    Pool storage pool = pools[_id];
+    if (pool.lastRewardTime == 0) {
+      poolIds.push(_id);
+      pool.lastRewardTime = block.timestamp;
+    }
 
     // Update the total token strength.
-    totalTokenStrength = totalTokenStrength - pools[_id].strength + _strength;
+    totalTokenStrength = totalTokenStrength - pool.strength + _strength;
 
     // Update the `Pool` being tracked in the `pools` mapping.
-    pools[_id] = Pool({
-      item: _item,
-      amount: pools[_id].amount,
-      strength: _strength,
-      tokensPerShare: pools[_id].tokensPerShare,
-      lastRewardTime: lastTokenRewardTime
-    });
+    pool.item = _item;
+    pool.strength = _strength;
+    pool.lockDuration = _lockDuration;
+    pool.lockPenalty = _lockPenalty;
+    emit StrengthSet(block.timestamp, _id, token, _strength);
   }
 
   /**
-    A private helper function to update the `Pool` corresponding to the
-    specified pool ID.
+    Allow the contract owner to attach an additional reward token to this
+    Staker. The new reward token emits nothing until it is given an emission
+    schedule with `setRewardEmissions` and pool strengths with
+    `setRewardStrength`.
 
-    @param _id The ID of the pool to update position data for.
+    @param _token The address of the additional reward token.
+
+    @return The ID of the newly-added reward token.
   */
-  function _updatePool (
-    uint256 _id
-  ) private {
+  function addRewardToken (
+    address _token
+  ) external onlyOwner returns (uint256) {
+    uint256 rewardId = rewardTokenCount;
+    rewardTokens[rewardId].token = _token;
+    rewardTokenCount += 1;
+    return rewardId;
+  }
 
-    // If the pool has already had its rewards updated, do nothing.
-    if (block.timestamp <= pools[_id].lastRewardTime) {
-      return;
-    }
+  /**
+    Set a new emission schedule for an additional reward token. This overwrites
+    the old emission schedule of that token from the current time onwards.
 
-    /*
-      If the pool has no items staked, flag its rewards as updated now and do
-      nothing else.
-    */
-    if (pools[_id].amount < 1) {
-      pools[_id].lastRewardTime = block.timestamp;
-      return;
+    @param _rewardId The ID of the additional reward token.
+    @param _schedule An array of `EmissionPoint`s defining the reward token
+      emission schedule.
+  */
+  function setRewardEmissions (
+    uint256 _rewardId,
+    EmissionPoint[] memory _schedule
+  ) external onlyOwner {
+    if (_rewardId >= rewardTokenCount) {
+      revert CannotConfigureNonexistentRewardToken();
     }
-
-    // Calculate token rewards for this pool.
-    uint256 totalEmittedTokens = getTotalEmittedTokens(
-      pools[_id].lastRewardTime,
-      block.timestamp
+    RewardToken storage rewardToken = rewardTokens[_rewardId];
+    _setEmissionSchedule(
+      rewardEmissionBlocks[_rewardId],
+      rewardToken.emissionBlockCount,
+      _schedule
     );
-    uint256 tokensReward =
-      totalEmittedTokens * pools[_id].strength / totalTokenStrength * 1e12;
-
-    // Update the pool rewards per share to pay users the amount remaining.
-    pools[_id].tokensPerShare = pools[_id].tokensPerShare
-      + (tokensReward / pools[_id].amount);
-    pools[_id].lastRewardTime = block.timestamp;
+    rewardToken.emissionBlockCount = _schedule.length;
+    emit EmissionsSet(block.timestamp, rewardToken.token, _schedule);
   }
 
   /**
-    Lock some particular token IDs from some particular contract addresses into
-    some particular `Pool` of this Staker.
+    Set the relative strength of a particular `Pool` in earning a particular
+    additional reward token. Every pool is updated first so that rewards accrued
+    under the old strengths are preserved.
 
-    @param _poolId The ID of the `Pool` to stake items in.
-    @param _tokenIds An array of token IDs corresponding to specific tokens in
-      the item contract from `Pool` with the ID of `_poolId`.
+    @param _rewardId The ID of the additional reward token.
+    @param _poolId The ID of the `Pool` to set the reward strength of.
+    @param _strength The relative strength of the pool in earning the reward.
   */
-  function deposit (
+  function setRewardStrength (
+    uint256 _rewardId,
     uint256 _poolId,
-    uint256[] memory _tokenIds
-  ) external nonReentrant {
-    Pool storage pool = pools[_poolId];
-    Position storage position = positions[_poolId][_msgSender()];
-
-    // Reject deposits for inactive pools.
-    if (pool.strength < 1) {
-      revert CannotDepositInactivePool();
+    uint256 _strength
+  ) external onlyOwner {
+    if (_rewardId >= rewardTokenCount) {
+      revert CannotConfigureNonexistentRewardToken();
     }
 
-    // Update the pool.
-    _updatePool(_poolId);
+    // Update the total reward strength and the strength of the pool.
+    _updatePools();
+    RewardToken storage rewardToken = rewardTokens[_rewardId];
+    rewardToken.totalStrength = rewardToken.totalStrength
+      - rewardStrengths[_rewardId][_poolId] + _strength;
+    rewardStrengths[_rewardId][_poolId] = _strength;
+    emit StrengthSet(block.timestamp, _poolId, rewardToken.token, _strength);
+  }
+
+  /**
+    Allow the contract owner to approve or revoke the ability of a particular
+    address to spend the points of callers.
+
+    @param _spender The address to update point spending permissions for.
+    @param _approved Whether or not `_spender` may spend points.
+  */
+  function setPointSpender (
+    address _spender,
+    bool _approved
+  ) external onlyOwner {
+    pointSpenders[_spender] = _approved;
+  }
+
+  /**
+    Allow the contract owner to pause or unpause every pool of this Staker. Every
+    pool is updated first so that rewards accrued up to the current time are
+    preserved. Paused pools accept no new deposits and emit no rewards; the
+    rewards that would have been emitted while paused remain in this contract.
+
+    @param _paused Whether or not to pause this Staker.
+  */
+  function setPaused (
+    bool _paused
+  ) external onlyOwner {
+    _updatePools();
+    paused = _paused;
+    emit PauseSet(block.timestamp, _paused);
+  }
+
+  /**
+    Allow the contract owner to pause or unpause a particular `Pool`. The pool is
+    updated first so that rewards accrued up to the current time are preserved.
+
+    @param _poolId The ID of the `Pool` to pause or unpause.
+    @param _paused Whether or not to pause the pool.
+  */
+  function setPoolPaused (
+    uint256 _poolId,
+    bool _paused
+  ) external onlyOwner {
+    _updatePool(_poolId);
+    poolPaused[_poolId] = _paused;
+    emit PoolPauseSet(block.timestamp, _poolId, _paused);
+  }
+
+  /**
+    Return whether or not a particular `Pool` is paused, either by itself or
+    because this Staker is paused globally.
+
+    @param _poolId The ID of the `Pool` to check.
+
+    @return Whether or not the pool is paused.
+  */
+  function isPaused (
+    uint256 _poolId
+  ) public view returns (bool) {
+    return paused || poolPaused[_poolId];
+  }
+
+  /**
+    Allow the contract owner to set the staking weights of particular items in a
+    `Pool`. A weight of zero restores the default weight of one. Weights are
+    recorded at deposit, so changes only apply to items deposited afterwards.
+
+    @param _poolId The ID of the `Pool` to set item weights for.
+    @param _tokenIds The token IDs of the items to set weights for.
+    @param _weights The staking weight of each item in `_tokenIds`.
+  */
+  function setItemWeights (
+    uint256 _poolId,
+    uint256[] calldata _tokenIds,
+    uint256[] calldata _weights
+  ) external onlyOwner {
+    if (_tokenIds.length != _weights.length) {
+      revert CannotSetItemWeightsWithMismatchedLengths();
+    }
+    for (uint256 i = 0; i < _tokenIds.length; i += 1) {
+      itemWeights[_poolId][_tokenIds[i]] = _weights[i];
+    }
+    emit ItemWeightsSet(block.timestamp, _poolId, _tokenIds, _weights);
+  }
+
+  /**
+    Allow the contract owner to set the merkle root of item weights for a
+    `Pool`. Callers may prove the weights of their items against this root when
+    depositing. Weights are recorded at deposit, so changes only apply to items
+    deposited afterwards.
+
+    @param _poolId The ID of the `Pool` to set the weight root for.
+    @param _root The root hash of the merkle tree of item weights.
+    @param _sorted Whether `_root` is the root of a sorted merkle tree.
+  */
+  function setWeightRoot (
+    uint256 _poolId,
+    bytes32 _root,
+    bool _sorted
+  ) external onlyOwner {
+    weightRoots[_poolId] = WeightRoot({
+      root: _root,
+      sorted: _sorted
+    });
+    emit WeightRootSet(block.timestamp, _poolId, _root, _sorted);
+  }
+
+  /**
+    Allow the contract owner to set the address which receives forfeited reward
+    tokens. Setting the zero address redistributes forfeited reward tokens to
+    the remaining stakers of each pool instead.
+
+    @param _treasury The address to send forfeited reward tokens to.
+  */
+  function setTreasury (
+    address _treasury
+  ) external onlyOwner {
+    treasury = _treasury;
+  }
+
+  /**
+    A private helper function to calculate the up-to-date accumulated tokens per
+    share of the `Pool` corresponding to the specified pool ID, as of the current
+    block timestamp.
+
+    @param _id The ID of the pool to calculate the tokens per share of.
+
+    @return The accumulated tokens per share of the pool, including the scaling
+      factor of 1e12.
+  */
+  function _getTokensPerShare (
+    uint256 _id
+  ) private view returns (uint256) {
+    Pool memory pool = pools[_id];
+
+    /*
+      If the pool has already had its rewards updated, if the pool has no items
+      staked, if the pool or every pool has no strength, or if the pool is
+      paused, its tokens per share is unchanged.
+    */
+    if (
+      block.timestamp <= pool.lastRewardTime || pool.amount < 1
+      || pool.strength < 1 || totalTokenStrength < 1 || isPaused(_id)
+    ) {
+      return pool.tokensPerShare;
+    }
+
+    // Calculate token rewards for this pool.
+    uint256 totalEmittedTokens = getTotalEmittedTokens(
+      pool.lastRewardTime,
+      block.timestamp
+    );
+    uint256 tokensReward =
+      totalEmittedTokens * pool.strength / totalTokenStrength * 1e12;
+
+    // Return the pool rewards per share to pay users the amount remaining.
+    return pool.tokensPerShare + (tokensReward / pool.amount);
+  }
+
+  /**
+    A private helper function to calculate the up-to-date accumulated points per
+    share of the `Pool` corresponding to the specified pool ID, as of the current
+    block timestamp.
+
+    @param _id The ID of the pool to calculate the points per share of.
+
+    @return The accumulated points per share of the pool, including the scaling
+      factor of 1e30.
+  */
+  function _getPointsPerShare (
+    uint256 _id
+  ) private view returns (uint256) {
+    Pool memory pool = pools[_id];
+
+    /*
+      If the pool has already had its rewards updated, if the pool has no items
+      staked, if the pool or every pool has no strength, or if the pool is
+      paused, its points per share is unchanged.
+    */
+    if (
+      block.timestamp <= pool.lastRewardTime || pool.amount < 1
+      || pool.strength < 1 || totalTokenStrength < 1 || isPaused(_id)
+    ) {
+      return pool.pointsPerShare;
+    }
+
+    // Calculate point rewards for this pool.
+    uint256 totalEmittedPoints = getTotalEmittedPoints(
+      pool.lastRewardTime,
+      block.timestamp
+    );
+    uint256 pointsReward =
+      totalEmittedPoints * pool.strength / totalTokenStrength * 1e30;
+
+    // Return the pool points per share to credit users the amount remaining.
+    return pool.pointsPerShare + (pointsReward / pool.amount);
+  }
+
+  /**
+    A private helper function to calculate the up-to-date accumulated reward
+    tokens per share of a particular additional reward token in the `Pool`
+    corresponding to the specified pool ID, as of the current block timestamp.
+
+    @param _rewardId The ID of the additional reward token.
+    @param _id The ID of the pool to calculate the reward tokens per share of.
+
+    @return The accumulated reward tokens per share of the pool, including the
+      scaling factor of 1e12.
+  */
+  function _getRewardsPerShare (
+    uint256 _rewardId,
+    uint256 _id
+  ) private view returns (uint256) {
+    Pool memory pool = pools[_id];
+    uint256 strength = rewardStrengths[_rewardId][_id];
+
+    /*
+      If the pool has already had its rewards updated, if the pool has no items
+      staked, if the pool does not earn this reward, or if the pool is paused,
+      its reward tokens per share is unchanged.
+    */
+    if (
+      block.timestamp <= pool.lastRewardTime || pool.amount < 1 || strength < 1
+      || isPaused(_id)
+    ) {
+      return rewardsPerShare[_rewardId][_id];
+    }
+
+    // Calculate reward token rewards for this pool.
+    uint256 totalEmittedRewards = getTotalEmittedRewards(
+      _rewardId,
+      pool.lastRewardTime,
+      block.timestamp
+    );
+    uint256 rewardsReward = totalEmittedRewards * strength
+      / rewardTokens[_rewardId].totalStrength * 1e12;
+
+    // Return the pool rewards per share to pay users the amount remaining.
+    return rewardsPerShare[_rewardId][_id] + (rewardsReward / pool.amount);
+  }
+
+  /**
+    A private helper function to update the `Pool` corresponding to the
+    specified pool ID.
+
+    @param _id The ID of the pool to update position data for.
+  */
+  function _updatePool (
+    uint256 _id
+  ) private {
+
+    // If the pool has already had its rewards updated, do nothing.
+    if (block.timestamp <= pools[_id].lastRewardTime) {
+      return;
+    }
+
+    // Update the pool rewards per share and flag its rewards as updated now.
+    pools[_id].tokensPerShare = _getTokensPerShare(_id);
+    pools[_id].pointsPerShare = _getPointsPerShare(_id);
+    for (uint256 i = 0; i < rewardTokenCount; i += 1) {
+      rewardsPerShare[i][_id] = _getRewardsPerShare(i, _id);
+    }
+    pools[_id].lastRewardTime = block.timestamp;
+  }
 
-    // If the caller has deposited assets, transfer their accrued balance to them.
-    if (position.amount > 0) {
-      uint256 reward =
-        (position.amount * pool.tokensPerShare / 1e12) - position.tokenPaid;
-      IERC20(token).safeTransferFrom(address(this), _msgSender(), reward);
+  /**
+    A private helper function to update every `Pool` in this Staker. This must
+    be done before changing any emission schedule or pool strength so that
+    rewards accrued under the old configuration are settled up to the current
+    time.
+  */
+  function _updatePools () private {
+    for (uint256 i = 0; i < poolIds.length; i += 1) {
+      _updatePool(poolIds[i]);
+    }
+  }
+
+  /**
+    A private helper function to determine whether any of the items that a
+    particular caller has staked in a particular `Pool` remain within the
+    minimum lock duration of that pool.
+
+    @param _poolId The ID of the pool to check for locked items.
+    @param _staker The address of the caller to check for locked items.
+
+    @return Whether or not any of the staker's items in the pool are locked.
+  */
+  function _hasLockedItems (
+    uint256 _poolId,
+    address _staker
+  ) private view returns (bool) {
+    uint256 lockDuration = pools[_poolId].lockDuration;
+    if (lockDuration < 1) {
+      return false;
+    }
+
+    // Check the lock of every item that the staker has in this pool.
+    uint256[] storage tokenIds = stakedIds[_poolId][_staker];
+    for (uint256 i = 0; i < tokenIds.length; i += 1) {
+      uint256 depositTime = stakedItems[_poolId][tokenIds[i]].depositTime;
+      if (block.timestamp < depositTime + lockDuration) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+    A private helper function to record the reward tokens accrued by a
+    particular caller's `Position` in a particular `Pool` as owed to the caller
+    and to credit the caller with any points accrued by that position. The pool
+    must already have been updated with `_updatePool`.
+
+    @param _poolId The ID of the pool to accrue rewards from.
+    @param _staker The address of the caller to accrue rewards for.
+  */
+  function _accrue (
+    uint256 _poolId,
+    address _staker
+  ) private {
+    Position storage position = positions[_poolId][_staker];
+    uint256 tokensPerShare = pools[_poolId].tokensPerShare;
+    position.tokenOwed += (position.amount * tokensPerShare / 1e12)
+      - position.tokenPaid;
+    position.tokenPaid = position.amount * tokensPerShare / 1e12;
+
+    // Record the caller's accrued additional reward tokens.
+    for (uint256 i = 0; i < rewardTokenCount; i += 1) {
+      uint256 rewardPerShare = rewardsPerShare[i][_poolId];
+      rewardOwed[i][_poolId][_staker] +=
+        (position.amount * rewardPerShare / 1e12)
+        - rewardPaid[i][_poolId][_staker];
+      rewardPaid[i][_poolId][_staker] = position.amount * rewardPerShare / 1e12;
+    }
+
+    // Credit the caller with their accrued points.
+    uint256 pointsPerShare = pools[_poolId].pointsPerShare;
+    uint256 points = (position.amount * pointsPerShare / 1e30)
+      - position.pointPaid;
+    position.pointPaid = position.amount * pointsPerShare / 1e30;
+    if (points > 0) {
+      userPoints[_staker] += points;
+      totalPointsEarned += points;
+      emit PointsAccrued(block.timestamp, _staker, _poolId, points);
+    }
+  }
+
+  /**
+    A private helper function to update the rewards that have been accounted
+    for in a particular caller's `Position` in a particular `Pool` after the
+    amount of that position has changed. The caller's accrued rewards must
+    already have been recorded with `_accrue`.
+
+    @param _poolId The ID of the pool to update the position in.
+    @param _staker The address of the caller to update the position of.
+  */
+  function _setPaid (
+    uint256 _poolId,
+    address _staker
+  ) private {
+    Position storage position = positions[_poolId][_staker];
+    position.tokenPaid = position.amount * pools[_poolId].tokensPerShare / 1e12;
+    position.pointPaid = position.amount * pools[_poolId].pointsPerShare / 1e30;
+    for (uint256 i = 0; i < rewardTokenCount; i += 1) {
+      rewardPaid[i][_poolId][_staker] =
+        position.amount * rewardsPerShare[i][_poolId] / 1e12;
+    }
+  }
+
+  /**
+    A private helper function to transfer the reward tokens owed to the caller's
+    `Position` in a particular `Pool` to the caller. Owed rewards remain held by
+    the position while any of the caller's items in the pool are locked.
+
+    @param _poolId The ID of the pool to claim owed reward tokens from.
+  */
+  function _claim (
+    uint256 _poolId
+  ) private {
+    if (_hasLockedItems(_poolId, _msgSender())) {
+      return;
+    }
+
+    // Transfer any reward to the caller from this contract's reservoir.
+    Position storage position = positions[_poolId][_msgSender()];
+    uint256 reward = position.tokenOwed;
+    if (reward > 0) {
+      position.tokenOwed = 0;
+      IERC20(token).safeTransfer(_msgSender(), reward);
       totalTokenDisbursed += reward;
+      emit Claim(block.timestamp, _msgSender(), _poolId, token, reward);
     }
 
-    // Deposit the caller's items by locking transfer of that item.
+    // Transfer any additional reward tokens to the caller.
+    for (uint256 i = 0; i < rewardTokenCount; i += 1) {
+      reward = rewardOwed[i][_poolId][_msgSender()];
+      if (reward > 0) {
+        rewardOwed[i][_poolId][_msgSender()] = 0;
+        address rewardToken = rewardTokens[i].token;
+        IERC20(rewardToken).safeTransfer(_msgSender(), reward);
+        rewardTokens[i].totalDisbursed += reward;
+        emit Claim(block.timestamp, _msgSender(), _poolId, rewardToken, reward);
+      }
+    }
+  }
+
+  /**
+    A private helper function to forfeit the penalty share of the rewards owed
+    to the caller's `Position` in a particular `Pool`, in proportion to the
+    weight of items withdrawn early. Forfeited tokens are sent to the `treasury`
+    if one is set, or are otherwise redistributed to the other stakers of the
+    pool; the caller's own remaining items do not share in their forfeited
+    tokens. If no other stakers remain, the forfeited tokens are left in this
+    contract. The caller's position must already have been updated with
+    `_setPaid`.
+
+    @param _poolId The ID of the pool that the items were withdrawn from.
+    @param _earlyAmount The summed weight of items withdrawn early.
+    @param _stakedAmount The summed weight of items staked by the caller in the
+      pool prior to withdrawal.
+  */
+  function _forfeit (
+    uint256 _poolId,
+    uint256 _earlyAmount,
+    uint256 _stakedAmount
+  ) private {
+    Pool storage pool = pools[_poolId];
+    Position storage position = positions[_poolId][_msgSender()];
+
+    // Forfeited tokens are only redistributed to the pool's other stakers.
+    uint256 otherAmount = pool.amount - position.amount;
+
+    // Forfeit the penalty share of the caller's owed tokens.
+    uint256 forfeited = position.tokenOwed * _earlyAmount / _stakedAmount
+      * pool.lockPenalty / BASIS_POINTS;
+    if (forfeited > 0) {
+      position.tokenOwed -= forfeited;
+      emit Forfeit(block.timestamp, _msgSender(), _poolId, token, forfeited);
+      if (treasury != address(0)) {
+        IERC20(token).safeTransfer(treasury, forfeited);
+        totalTokenDisbursed += forfeited;
+      } else if (otherAmount > 0) {
+        pool.tokensPerShare += forfeited * 1e12 / otherAmount;
+      }
+    }
+
+    // Forfeit the penalty share of the caller's owed additional reward tokens.
+    for (uint256 i = 0; i < rewardTokenCount; i += 1) {
+      forfeited = rewardOwed[i][_poolId][_msgSender()] * _earlyAmount
+        / _stakedAmount * pool.lockPenalty / BASIS_POINTS;
+      if (forfeited > 0) {
+        rewardOwed[i][_poolId][_msgSender()] -= forfeited;
+        address rewardToken = rewardTokens[i].token;
+        emit Forfeit(
+          block.timestamp,
+          _msgSender(),
+          _poolId,
+          rewardToken,
+          forfeited
+        );
+        if (treasury != address(0)) {
+          IERC20(rewardToken).safeTransfer(treasury, forfeited);
+          rewardTokens[i].totalDisbursed += forfeited;
+        } else if (otherAmount > 0) {
+          rewardsPerShare[i][_poolId] += forfeited * 1e12 / otherAmount;
+        }
+      }
+    }
+
+    /*
+      Mark any redistributed rewards as already paid to the caller's remaining
+      position so that they accrue only to the other stakers.
+    */
+    _setPaid(_poolId, _msgSender());
+  }
+
+  /**
+    A private helper function to compute the root hash of a merkle tree given a
+    leaf node, the index of that leaf, and a proof of sibling hashes. This
+    mirrors the tree construction of `HashTree`.
+
+    @param _index The index of the leaf node in the tree.
+    @param _node The hash of the leaf node.
+    @param _proof The merkle hashes proving the leaf node.
+
+    @return The root hash reconstructed from the leaf node and its proof.
+  */
+  function _getRootHash (
+    uint256 _index,
+    bytes32 _node,
+    bytes32[] calldata _proof
+  ) private pure returns (bytes32) {
+    uint256 path = _index;
+    for (uint256 i = 0; i < _proof.length; i++) {
+      if ((path & 0x01) == 1) {
+        _node = keccak256(abi.encodePacked(_proof[i], _node));
+      } else {
+        _node = keccak256(abi.encodePacked(_node, _proof[i]));
+      }
+      path /= 2;
+    }
+    return _node;
+  }
+
+  /**
+    A private helper function to verify the proven weight of an item against the
+    weight root of a particular `Pool`, in the merkle scheme of that root.
+
+    @param _poolId The ID of the `Pool` to verify the item weight against.
+    @param _weightProof The proof of the token ID and weight of the item.
+
+    @return Whether or not the proven weight of the item is valid.
+  */
+  function _verifyItemWeight (
+    uint256 _poolId,
+    WeightProof calldata _weightProof
+  ) private view returns (bool) {
+    WeightRoot memory weightRoot = weightRoots[_poolId];
+    if (weightRoot.root == 0 || _weightProof.weight < 1) {
+      return false;
+    }
+
+    // Sorted merkle trees double-hash their ABI-encoded leaves.
+    if (weightRoot.sorted) {
+      bytes32 leaf = keccak256(
+        bytes.concat(
+          keccak256(abi.encode(_weightProof.tokenId, _weightProof.weight))
+        )
+      );
+      return MerkleProof.verify(_weightProof.proof, weightRoot.root, leaf);
+    }
+
+    // Index-ordered merkle trees pack the index of the leaf into its hash.
+    bytes32 node = keccak256(
+      abi.encodePacked(
+        _weightProof.index,
+        _weightProof.tokenId,
+        _weightProof.weight
+      )
+    );
+    return _getRootHash(_weightProof.index, node, _weightProof.proof)
+      == weightRoot.root;
+  }
+
+  /**
+    A private helper function to return the staking weight of an item that has
+    no proven weight. This is the owner-set weight of the item if there is one
+    and one otherwise.
+
+    @param _poolId The ID of the `Pool` to retrieve the item weight from.
+    @param _tokenId The token ID of the item.
+
+    @return The staking weight of the item.
+  */
+  function _getItemWeight (
+    uint256 _poolId,
+    uint256 _tokenId
+  ) private view returns (uint256) {
+    uint256 weight = itemWeights[_poolId][_tokenId];
+    return weight > 0 ? weight : 1;
+  }
+
+  /**
+    A private helper function to lock a particular item into a particular `Pool`
+    with a particular staking weight. Items that are already transfer locked are
+    skipped. This is done to prevent the `amount` staked against this `Pool` from
+    becoming larger than it should be in reality.
+
+    @param _poolId The ID of the `Pool` to stake the item in.
+    @param _tokenId The token ID of the item to stake.
+    @param _weight The staking weight of the item.
+  */
+  function _stake (
+    uint256 _poolId,
+    uint256 _tokenId,
+    uint256 _weight
+  ) private {
     ITiny721 item = ITiny721(pools[_poolId].item);
+    if (!item.transferLocks(_tokenId)) {
+
+      // Verify that the caller owns the token being locked.
+      if (item.ownerOf(_tokenId) != _msgSender()) {
+        revert CannotDepositUnownedToken();
+      }
+
+      // Lock transfer and update the pool.
+      item.lockTransfer(_tokenId, true);
+      pools[_poolId].amount += _weight;
+      positions[_poolId][_msgSender()].amount += _weight;
+
+      // Record the caller as the staker of this item.
+      stakedItems[_poolId][_tokenId] = StakedItem({
+        staker: _msgSender(),
+        index: stakedIds[_poolId][_msgSender()].length,
+        depositTime: block.timestamp,
+        weight: _weight
+      });
+      stakedIds[_poolId][_msgSender()].push(_tokenId);
+
+      // Emit an event for this deposit.
+      emit Deposit(block.timestamp, _msgSender(), _poolId, _tokenId);
+    }
+  }
+
+  /**
+    A private helper function to prepare a particular `Pool` for a deposit by
+    the caller. Deposits are rejected into inactive or paused pools, and the
+    caller's accrued balance is transferred to them.
+
+    @param _poolId The ID of the `Pool` to prepare for a deposit.
+  */
+  function _beforeDeposit (
+    uint256 _poolId
+  ) private {
+
+    // Reject deposits for inactive pools.
+    if (pools[_poolId].strength < 1) {
+      revert CannotDepositInactivePool();
+    }
+
+    // Reject deposits for paused pools.
+    if (isPaused(_poolId)) {
+      revert CannotDepositPausedPool();
+    }
+
+    // Update the pool and transfer the caller's accrued balance to them.
+    _updatePool(_poolId);
+    _accrue(_poolId, _msgSender());
+    _claim(_poolId);
+  }
+
+  /**
+    Lock some particular token IDs from some particular contract addresses into
+    some particular `Pool` of this Staker. Each item is staked with its owner-set
+    weight, or a weight of one if it has none.
+
+    @param _poolId The ID of the `Pool` to stake items in.
+    @param _tokenIds An array of token IDs corresponding to specific tokens in
+      the item contract from `Pool` with the ID of `_poolId`.
+  */
+  function deposit (
+    uint256 _poolId,
+    uint256[] memory _tokenIds
+  ) external nonReentrant {
+    _beforeDeposit(_poolId);
+
+    // Deposit the caller's items by locking transfer of that item.
     for (uint256 i = 0; i < _tokenIds.length; i += 1) {
-      uint256 tokenId = _tokenIds[i];
+      _stake(_poolId, _tokenIds[i], _getItemWeight(_poolId, _tokenIds[i]));
+    }
 
-      /*
-        Skip items that are already transfer locked. This is done to prevent the
-        `amount` of items staked against this `Pool` from becoming larger than
-        it should be in reality.
-      */
-      if (!item.transferLocks(tokenId)) {
+    // Update the count of rewards that have been paid to the caller's position.
+    _setPaid(_poolId, _msgSender());
+  }
 
-        // Verify that the caller owns the token being locked.
-        if (item.ownerOf(tokenId) != _msgSender()) {
-          revert CannotDepositUnownedToken();
-        }
+  /**
+    Lock some particular items into some particular `Pool` of this Staker, with
+    the weight of each item proven against the weight root of the pool.
 
-        // Lock transfer and update the pool.
-        item.lockTransfer(tokenId, true);
-        pools[_poolId].amount += 1;
-        position.amount += 1;
+    @param _poolId The ID of the `Pool` to stake items in.
+    @param _proofs An array of proofs, one per item, of the token ID and weight
+      of each item to stake.
+  */
+  function depositWithProofs (
+    uint256 _poolId,
+    WeightProof[] calldata _proofs
+  ) external nonReentrant {
+    _beforeDeposit(_poolId);
+
+    // Verify the weight of each of the caller's items and deposit it.
+    for (uint256 i = 0; i < _proofs.length; i += 1) {
+      if (!_verifyItemWeight(_poolId, _proofs[i])) {
+        revert CannotVerifyItemWeight();
       }
+      _stake(_poolId, _proofs[i].tokenId, _proofs[i].weight);
     }
 
-    // Update the count of tokens that have been paid to the caller's position.
-    position.tokenPaid = position.amount * pool.tokensPerShare / 1e12;
+    // Update the count of rewards that have been paid to the caller's position.
+    _setPaid(_poolId, _msgSender());
+  }
+
+  /**
+    A private helper function to remove a staked item from the record of items
+    staked by its staker. The item's token ID is swapped with the last element
+    of the staker's array of token IDs so that it may be removed in constant
+    time.
+
+    @param _poolId The ID of the `Pool` that the item is staked in.
+    @param _tokenId The token ID of the item to remove.
+  */
+  function _removeStakedItem (
+    uint256 _poolId,
+    uint256 _tokenId
+  ) private {
+    StakedItem memory stakedItem = stakedItems[_poolId][_tokenId];
+    uint256[] storage tokenIds = stakedIds[_poolId][stakedItem.staker];
+
+    // Move the last staked token ID into the position of the removed item.
+    uint256 lastTokenId = tokenIds[tokenIds.length - 1];
+    tokenIds[stakedItem.index] = lastTokenId;
+    stakedItems[_poolId][lastTokenId].index = stakedItem.index;
 
-    // TODO: events
-    // emit Deposit(_msgSender(), _token, _amount);
+    // Remove the item.
+    tokenIds.pop();
+    delete stakedItems[_poolId][_tokenId];
   }
 
   /**
@@ -379,22 +1640,369 @@ contract Staker is
     Pool storage pool = pools[_poolId];
     Position storage position = positions[_poolId][_msgSender()];
 
-    // Update the pool.
+    // Update the pool and record the caller's accrued balance.
+    _updatePool(_poolId);
+    _accrue(_poolId, _msgSender());
+
+    // Withdraw the caller's items by unlocking transfer of that item.
+    ITiny721 item = ITiny721(pool.item);
+    uint256 stakedAmount = position.amount;
+    uint256 earlyAmount = 0;
+    for (uint256 i = 0; i < _tokenIds.length; i += 1) {
+      uint256 tokenId = _tokenIds[i];
+
+      /*
+        Only the caller who staked an item into this pool may withdraw it. This
+        also prevents callers from unlocking items that are locked in some other
+        pool or by some other administrator of the item contract.
+      */
+      if (stakedItems[_poolId][tokenId].staker != _msgSender()) {
+        revert CannotWithdrawUnstakedToken();
+      }
+
+      /*
+        Items withdrawn before the minimum lock duration of the pool has elapsed
+        are either rejected or incur a penalty on the caller's rewards.
+      */
+      uint256 weight = stakedItems[_poolId][tokenId].weight;
+      if (
+        block.timestamp <
+          stakedItems[_poolId][tokenId].depositTime + pool.lockDuration
+      ) {
+        if (pool.lockPenalty < 1) {
+          revert CannotWithdrawLockedToken();
+        }
+        earlyAmount += weight;
+      }
+
+      // Unlock transfer and update the pool.
+      item.lockTransfer(tokenId, false);
+      pool.amount -= weight;
+      position.amount -= weight;
+
+      // Remove the item from the caller's record of staked items.
+      _removeStakedItem(_poolId, tokenId);
+
+      // Emit an event for this withdrawal.
+      emit Withdraw(block.timestamp, _msgSender(), _poolId, tokenId);
+    }
+
+    // Update the count of rewards that have been paid to the caller's position.
+    _setPaid(_poolId, _msgSender());
+
+    /*
+      The caller forfeits the penalty share of the rewards that are owed to
+      their position in proportion to the weight of items withdrawn early.
+    */
+    if (earlyAmount > 0) {
+      _forfeit(_poolId, earlyAmount, stakedAmount);
+    }
+
+    // Transfer the caller's owed balance to them.
+    _claim(_poolId);
+  }
+
+  /**
+    Unlock all of the caller's items from a particular `Pool` without paying any
+    rewards. This is intended for use in emergencies, such as when the reward
+    reservoir has run dry, and ignores the minimum lock duration of the pool.
+    All rewards and pending points of the caller's position are abandoned.
+
+    @param _poolId The ID of the `Pool` to unstake all items from.
+  */
+  function emergencyWithdraw (
+    uint256 _poolId
+  ) external nonReentrant {
+    Pool storage pool = pools[_poolId];
+    Position storage position = positions[_poolId][_msgSender()];
+
+    // Unlock every item that the caller has staked in this pool.
+    ITiny721 item = ITiny721(pool.item);
+    uint256[] storage tokenIds = stakedIds[_poolId][_msgSender()];
+    uint256 amount = tokenIds.length;
+    for (uint256 i = 0; i < amount; i += 1) {
+      uint256 tokenId = tokenIds[i];
+      item.lockTransfer(tokenId, false);
+      delete stakedItems[_poolId][tokenId];
+      emit Withdraw(block.timestamp, _msgSender(), _poolId, tokenId);
+    }
+    delete stakedIds[_poolId][_msgSender()];
+
+    /*
+      Update the pool before reducing its amount so that the rewards accrued up
+      to now are shared over the items that were staked while they accrued.
+      This makes no transfers, so it works even if the reservoir has run dry.
+    */
+    _updatePool(_poolId);
+
+    // Zero the caller's position without paying any rewards.
+    pool.amount -= position.amount;
+    delete positions[_poolId][_msgSender()];
+    for (uint256 i = 0; i < rewardTokenCount; i += 1) {
+      delete rewardPaid[i][_poolId][_msgSender()];
+      delete rewardOwed[i][_poolId][_msgSender()];
+    }
+
+    // Emit an event for this emergency withdrawal.
+    emit EmergencyWithdraw(block.timestamp, _msgSender(), _poolId, amount);
+  }
+
+  /**
+    Claim the caller's accrued reward tokens from a particular `Pool` without
+    depositing or withdrawing any items.
+
+    @param _poolId The ID of the `Pool` to claim accrued reward tokens from.
+  */
+  function claim (
+    uint256 _poolId
+  ) external nonReentrant {
+
+    // Update the pool and transfer the caller's accrued balance to them.
     _updatePool(_poolId);
+    _accrue(_poolId, _msgSender());
+    _claim(_poolId);
+  }
+
+  /**
+    Claim the caller's accrued reward tokens from every `Pool` in this Staker.
+  */
+  function claimAll () external nonReentrant {
+    for (uint256 i = 0; i < poolIds.length; i += 1) {
+      uint256 poolId = poolIds[i];
+      Position memory position = positions[poolId][_msgSender()];
+
+      // Skip any pools where the caller has nothing staked or owed.
+      bool owed = position.amount > 0 || position.tokenOwed > 0;
+      for (uint256 j = 0; !owed && j < rewardTokenCount; j += 1) {
+        owed = rewardOwed[j][poolId][_msgSender()] > 0;
+      }
+      if (!owed) {
+        continue;
+      }
 
-    /* uint256 pendingTokens = user.amount.mul(pool.tokensPerShare).div(1e12).sub(user.tokenPaid);
-    token.safeTransferFrom(address(this), msg.sender, pendingTokens);
-    totalTokenDisbursed = totalTokenDisbursed.add(pendingTokens);
-    uint256 pendingPoints = user.amount.mul(pool.pointsPerShare).div(1e30).sub(user.pointPaid);
-    userPoints[msg.sender] = userPoints[msg.sender].add(pendingPoints);
-    if (address(_token) == address(token)) {
-      totalTokenDeposited = totalTokenDeposited.sub(_amount);
-    }
-    user.amount = user.amount.sub(_amount);
-    user.tokenPaid = user.amount.mul(pool.tokensPerShare).div(1e12);
-    user.pointPaid = user.amount.mul(pool.pointsPerShare).div(1e30);
-    pool.token.safeTransfer(address(msg.sender), _amount);
-    emit Withdraw(msg.sender, _token, _amount); */
+      // Update the pool and transfer the caller's accrued balance to them.
+      _updatePool(poolId);
+      _accrue(poolId, _msgSender());
+      _claim(poolId);
+    }
+  }
+
+  /**
+    Return the number of reward tokens that a particular caller has accrued in a
+    particular `Pool`. This includes rewards that may not be claimed until the
+    caller's items in the pool have passed their minimum lock duration.
+
+    @param _poolId The ID of the `Pool` to check for pending rewards.
+    @param _staker The address of the caller to check for pending rewards.
+
+    @return The amount of reward tokens pending to `_staker` in the pool.
+  */
+  function getPendingTokens (
+    uint256 _poolId,
+    address _staker
+  ) public view returns (uint256) {
+    Position memory position = positions[_poolId][_staker];
+    return position.tokenOwed
+      + (position.amount * _getTokensPerShare(_poolId) / 1e12)
+      - position.tokenPaid;
+  }
+
+  /**
+    Return the number of reward tokens that a particular caller has accrued and
+    may claim across every `Pool` in this Staker.
+
+    @param _staker The address of the caller to check for pending rewards.
+
+    @return The amount of reward tokens pending to `_staker` in all pools.
+  */
+  function getTotalPendingTokens (
+    address _staker
+  ) external view returns (uint256) {
+    uint256 totalPendingTokens = 0;
+    for (uint256 i = 0; i < poolIds.length; i += 1) {
+      totalPendingTokens += getPendingTokens(poolIds[i], _staker);
+    }
+    return totalPendingTokens;
+  }
+
+  /**
+    Return the number of a particular additional reward token that a particular
+    caller has accrued in a particular `Pool`. This includes rewards that may
+    not be claimed until the caller's items in the pool have passed their
+    minimum lock duration.
+
+    @param _rewardId The ID of the additional reward token.
+    @param _poolId The ID of the `Pool` to check for pending rewards.
+    @param _staker The address of the caller to check for pending rewards.
+
+    @return The amount of the reward token pending to `_staker` in the pool.
+  */
+  function getPendingRewards (
+    uint256 _rewardId,
+    uint256 _poolId,
+    address _staker
+  ) public view returns (uint256) {
+    return rewardOwed[_rewardId][_poolId][_staker]
+      + (positions[_poolId][_staker].amount
+        * _getRewardsPerShare(_rewardId, _poolId) / 1e12)
+      - rewardPaid[_rewardId][_poolId][_staker];
+  }
+
+  /**
+    Return every stream of reward tokens that a particular `Pool` may earn. The
+    first element describes the primary `token`; each following element at index
+    `i` describes the additional reward token with ID `i - 1`.
+
+    @param _poolId The ID of the `Pool` to list the reward streams of.
+
+    @return An array of `PoolReward`s describing each reward stream of the pool.
+  */
+  function getPoolRewards (
+    uint256 _poolId
+  ) external view returns (PoolReward[] memory) {
+    PoolReward[] memory poolRewards = new PoolReward[](rewardTokenCount + 1);
+    poolRewards[0] = PoolReward({
+      token: token,
+      strength: pools[_poolId].strength,
+      totalStrength: totalTokenStrength
+    });
+    for (uint256 i = 0; i < rewardTokenCount; i += 1) {
+      poolRewards[i + 1] = PoolReward({
+        token: rewardTokens[i].token,
+        strength: rewardStrengths[i][_poolId],
+        totalStrength: rewardTokens[i].totalStrength
+      });
+    }
+    return poolRewards;
+  }
+
+  /**
+    Return the number of pending rewards of every reward stream that a
+    particular caller has accrued in a particular `Pool`. The elements of the
+    returned array correspond to those returned by `getPoolRewards`.
+
+    @param _poolId The ID of the `Pool` to check for pending rewards.
+    @param _staker The address of the caller to check for pending rewards.
+
+    @return An array of the amount of each reward token pending to `_staker`.
+  */
+  function getAllPendingRewards (
+    uint256 _poolId,
+    address _staker
+  ) external view returns (uint256[] memory) {
+    uint256[] memory pending = new uint256[](rewardTokenCount + 1);
+    pending[0] = getPendingTokens(_poolId, _staker);
+    for (uint256 i = 0; i < rewardTokenCount; i += 1) {
+      pending[i + 1] = getPendingRewards(i, _poolId, _staker);
+    }
+    return pending;
+  }
+
+  /**
+    Return the number of points that a particular caller has accrued in a
+    particular `Pool` but which have not yet been credited to their balance.
+
+    @param _poolId The ID of the `Pool` to check for pending points.
+    @param _staker The address of the caller to check for pending points.
+
+    @return The number of points pending to `_staker` in the pool.
+  */
+  function getPendingPoints (
+    uint256 _poolId,
+    address _staker
+  ) public view returns (uint256) {
+    Position memory position = positions[_poolId][_staker];
+    return (position.amount * _getPointsPerShare(_poolId) / 1e30)
+      - position.pointPaid;
+  }
+
+  /**
+    Return the number of points that a particular caller has available to spend,
+    including both their credited balance and points pending in every `Pool`.
+
+    @param _staker The address of the caller to check for available points.
+
+    @return The number of points available to `_staker`.
+  */
+  function getAvailablePoints (
+    address _staker
+  ) public view returns (uint256) {
+    uint256 availablePoints = userPoints[_staker];
+    for (uint256 i = 0; i < poolIds.length; i += 1) {
+      availablePoints += getPendingPoints(poolIds[i], _staker);
+    }
+    return availablePoints;
+  }
+
+  /**
+    Allow an approved point spender to spend the points of a particular caller.
+    Any points pending to the caller in every `Pool` are credited first.
+
+    @param _staker The address of the caller whose points are being spent.
+    @param _amount The number of points to spend.
+  */
+  function spendPoints (
+    address _staker,
+    uint256 _amount
+  ) external nonReentrant {
+    if (!pointSpenders[_msgSender()]) {
+      revert CannotSpendPointsAsUnapprovedSpender();
+    }
+
+    // Credit the caller with any pending points if their balance is too low.
+    if (userPoints[_staker] < _amount) {
+      for (uint256 i = 0; i < poolIds.length; i += 1) {
+        uint256 poolId = poolIds[i];
+        if (positions[poolId][_staker].amount > 0) {
+          _updatePool(poolId);
+          _accrue(poolId, _staker);
+        }
+      }
+    }
+
+    // Spend the points.
+    if (userPoints[_staker] < _amount) {
+      revert CannotSpendInsufficientPoints();
+    }
+    userPoints[_staker] -= _amount;
+    emit PointsSpent(block.timestamp, _msgSender(), _staker, _amount);
+  }
+
+  /**
+    Return the time at which a particular staked item has passed the minimum
+    lock duration of its `Pool` and may be withdrawn without penalty.
+
+    @param _poolId The ID of the `Pool` that the item is staked in.
+    @param _tokenId The token ID of the staked item.
+
+    @return The timestamp when the item unlocks, or zero if the item is not
+      staked in the pool.
+  */
+  function getUnlockTime (
+    uint256 _poolId,
+    uint256 _tokenId
+  ) external view returns (uint256) {
+    StakedItem memory stakedItem = stakedItems[_poolId][_tokenId];
+    if (stakedItem.staker == address(0)) {
+      return 0;
+    }
+    return stakedItem.depositTime + pools[_poolId].lockDuration;
+  }
+
+  /**
+    Return the token IDs of all items that a particular caller has staked in a
+    particular `Pool`.
+
+    @param _poolId The ID of the `Pool` to check for staked items.
+    @param _staker The address of the caller to check for staked items.
+
+    @return An array of the token IDs staked by `_staker` in the pool.
+  */
+  function getStakedIds (
+    uint256 _poolId,
+    address _staker
+  ) external view returns (uint256[] memory) {
+    return stakedIds[_poolId][_staker];
   }
 
   /**
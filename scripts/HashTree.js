@@ -12,7 +12,14 @@ import { ethers } from 'ethers';
   This class constructs a binary hash tree consisting of leaves that correlate a
   caller to an integer allowance amount. This hash tree mechanism is used in
   restricting whitelist allocations for token sales because its data can be
-  reconstructed efficiently on-chain.
+  reconstructed efficiently on-chain. Trees may also be keyed by token ID rather
+  than by address, such as when correlating items to their staking weights.
+
+  Trees are built in one of two modes. The default indexed mode hashes the leaf
+  index into each leaf and orders siblings by position, hashing a lone node with
+  itself. The sorted mode is compatible with OpenZeppelin's `MerkleProof` and
+  `StandardMerkleTree`: each leaf is the double Keccak-256 hash of its ABI-encoded
+  key and allowance, and sibling pairs are sorted before hashing.
 
   February 23rd, 2022.
 */
@@ -51,14 +58,16 @@ export default class HashTree {
 
     @param _balances An object where each key is the address of a caller and
       each value is the token allowance granted to that caller.
+    @param _keyType The Solidity type of each key of `_balances`; either
+      'address' or 'uint256' for trees keyed by token ID.
 
     @return An array of Keccak-256 Solidity-packed leaf data.
   */
-  static getLeafHashes (_balances) {
+  static getLeafHashes (_balances, _keyType = 'address') {
     let leaves = HashTree.expandLeaves(_balances);
     return leaves.map(function (leaf) {
       return ethers.utils.solidityKeccak256(
-        [ 'uint256', 'address', 'uint256' ],
+        [ 'uint256', _keyType, 'uint256' ],
         [ leaf.index, leaf.address, leaf.allowance ]
       );
     });
@@ -72,33 +81,100 @@ export default class HashTree {
       leaves are siblings.
   */
   static pruneBottomLayer (_leaves) {
-    let parents = [];
+    let parents = HashTree.computeParentLayer(_leaves);
 
     /*
-      So long as there are leaves, iterate pairwise through `_leaves` to
-      construct parent node hashes. In the event that only a single leaf
-      remains, it is hashed twice to construct its parent.
+      Replace the contents of `_leaves` with the parent nodes. The bottom layer
+      of the hash tree has been pruned.
     */
-    while (_leaves.length) {
-      let left = _leaves.shift();
-      let right = (_leaves.length === 0)
-        ? left
-        : _leaves.shift();
-
-      // Hash the left and right sibling leaves to create the parent node.
-      parents.push(ethers.utils.solidityKeccak256(
-        [ 'bytes32', 'bytes32' ],
-        [ left, right ]
-      ));
+    _leaves.length = 0;
+    for (let i = 0; i < parents.length; i++) {
+      _leaves.push(parents[i]);
     }
+  }
+
+  /**
+    Compute the layer of parent nodes above a particular layer of the hash tree.
+
+    @param _layer An array of hashed nodes of one layer of the hash tree. Each
+      pair of nodes are siblings.
+
+    @return An array of the parent node hashes of `_layer`.
+  */
+  static computeParentLayer (_layer) {
+    let parents = new Array(Math.ceil(_layer.length / 2));
 
     /*
-      Push the parent nodes into the drained `_leaves` array. The bottom layer
-      of the hash tree has been pruned.
+      Iterate pairwise through `_layer` to construct parent node hashes. In the
+      event that a single node remains at the end of the layer, it is hashed
+      with itself to construct its parent.
     */
-    parents.forEach(function (leaf) {
-      _leaves.push(leaf);
-    });
+    for (let i = 0; i < _layer.length; i += 2) {
+      let left = _layer[i];
+      let right = (i + 1 < _layer.length)
+        ? _layer[i + 1]
+        : left;
+
+      // Hash the left and right sibling nodes to create the parent node.
+      parents[i / 2] = ethers.utils.solidityKeccak256(
+        [ 'bytes32', 'bytes32' ],
+        [ left, right ]
+      );
+    }
+    return parents;
+  }
+
+  /**
+    Build every layer of the hash tree from an array of leaf hashes.
+
+    @param _leaves An array of hashed leaves of the hash tree.
+
+    @return An array of the layers of the hash tree, beginning with `_leaves`
+      and ending with a layer containing only the root hash.
+  */
+  static computeLayers (_leaves) {
+    let layers = [ _leaves ];
+    while (layers[layers.length - 1].length > 1) {
+      layers.push(HashTree.computeParentLayer(layers[layers.length - 1]));
+    }
+    return layers;
+  }
+
+  /**
+    Retrace the path from a particular leaf to the root of a hash tree, given
+    all of its layers, collecting the sibling hashes of the path as a proof.
+
+    @param _layers An array of the layers of the hash tree as computed by
+      `computeLayers`.
+    @param _index The index of the leaf in the bottom layer of the tree.
+
+    @return A proof array containing the hashes of leaves that can reconstruct
+      the binary hash tree's root hash given the leaf at `_index`.
+  */
+  static computeProofFromLayers (_layers, _index) {
+    let proof = [];
+    let path = _index;
+    for (let i = 0; i < _layers.length - 1; i++) {
+      let layer = _layers[i];
+
+      /*
+        If our path is on the right-hand sibling of a child pair, we incorporate
+        the left-hand sibling as an element of our proof. If our path is on the
+        left-hand sibling, we incorporate the right-hand sibling. A lone node at
+        the end of a layer incorporates itself.
+      */
+      if ((path % 2) == 1) {
+        proof.push(layer[path - 1]);
+      } else if (path + 1 < layer.length) {
+        proof.push(layer[path + 1]);
+      } else {
+        proof.push(layer[path]);
+      }
+
+      // Move our path up a level of our constructed binary tree.
+      path = Math.floor(path / 2);
+    }
+    return proof;
   }
 
   /**
@@ -107,16 +183,15 @@ export default class HashTree {
 
     @param _balances An object where each key is the address of a caller and
       each value is the token allowance granted to that caller.
+    @param _keyType The Solidity type of each key of `_balances`.
 
     @return The root hash of the tree that results from processing `_balances`
       as a binary hash tree.
   */
-  static computeRootHash (_balances) {
-    let leaves = HashTree.getLeafHashes(_balances);
-    while (leaves.length > 1) {
-      HashTree.pruneBottomLayer(leaves);
-    }
-    return leaves[0];
+  static computeRootHash (_balances, _keyType = 'address') {
+    let leaves = HashTree.getLeafHashes(_balances, _keyType);
+    let layers = HashTree.computeLayers(leaves);
+    return layers[layers.length - 1][0];
   }
 
   /**
@@ -128,62 +203,463 @@ export default class HashTree {
       each value is the token allowance granted to that caller.
     @param _index An index in a flattened array of pairwise child leaves used to
       select a specific leaf of the tree.
+    @param _keyType The Solidity type of each key of `_balances`.
 
     @return A proof array containing the hashes of leaves that can reconstruct
       the binary hash tree's root hash given the leaf at `_index`.
   */
-  static computeProof (_balances, _index) {
-    let leaves = HashTree.getLeafHashes(_balances);
+  static computeProof (_balances, _index, _keyType = 'address') {
+    let leaves = HashTree.getLeafHashes(_balances, _keyType);
     if (_index == null) {
       throw new Error('The proof index must be non-null.');
     }
+    return HashTree.computeProofFromLayers(
+      HashTree.computeLayers(leaves),
+      _index
+    );
+  }
+
+  /**
+    Compute the sorted-mode hash of a leaf: the Keccak-256 hash of the
+    Keccak-256 hash of the ABI-encoded key and allowance. Hashing twice
+    prevents a leaf from being mistaken for an internal node of the tree.
+
+    @param _key The key of the leaf; usually the address of a caller.
+    @param _allowance The allowance of the leaf.
+    @param _keyType The Solidity type of `_key`.
+
+    @return The double Keccak-256 hash of the leaf.
+  */
+  static getSortedLeafHash (_key, _allowance, _keyType = 'address') {
+    return ethers.utils.keccak256(ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(
+        [ _keyType, 'uint256' ],
+        [ _key, _allowance ]
+      )
+    ));
+  }
+
+  /**
+    Compute the key of a leaf in a multi-whitelist tree, where each leaf grants
+    a caller an allowance on one particular whitelist of a `DropAuctionShop721`.
+    Such trees are built in sorted mode with a `keyType` of 'bytes32', so that a
+    caller on several whitelists may prove every membership with one multiproof.
+
+    @param _address The address of the caller.
+    @param _id The ID of the whitelist.
+
+    @return The Keccak-256 hash of the ABI-encoded address and whitelist ID.
+  */
+  static getWhitelistKey (_address, _id) {
+    return ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(
+        [ 'address', 'uint256' ],
+        [ _address, _id ]
+      )
+    );
+  }
+
+  /**
+    Hash a pair of sibling nodes in sorted order, such that the resulting parent
+    hash does not depend on which sibling is on the left.
+
+    @param _a The hash of one sibling node.
+    @param _b The hash of the other sibling node.
+
+    @return The Keccak-256 hash of the two siblings in ascending order.
+  */
+  static hashSortedPair (_a, _b) {
+    let [ left, right ] = (_a.toLowerCase() < _b.toLowerCase())
+      ? [ _a, _b ]
+      : [ _b, _a ];
+    return ethers.utils.solidityKeccak256(
+      [ 'bytes32', 'bytes32' ],
+      [ left, right ]
+    );
+  }
+
+  /**
+    Compute every node of a sorted-mode hash tree. The tree is stored as a flat
+    array in the same layout as OpenZeppelin's `StandardMerkleTree`: the root is
+    the first node, the children of node `i` are nodes `2i + 1` and `2i + 2`, and
+    the leaves occupy the end of the array in reverse order.
+
+    @param _leaves An array of sorted-mode leaf hashes in ascending order.
+
+    @return The array of every node of the hash tree.
+  */
+  static computeSortedNodes (_leaves) {
+    if (_leaves.length === 0) {
+      return [];
+    }
+    let nodes = new Array(2 * _leaves.length - 1);
+    for (let i = 0; i < _leaves.length; i++) {
+      nodes[nodes.length - 1 - i] = _leaves[i];
+    }
+    for (let i = nodes.length - 1 - _leaves.length; i >= 0; i--) {
+      nodes[i] = HashTree.hashSortedPair(nodes[2 * i + 1], nodes[2 * i + 2]);
+    }
+    return nodes;
+  }
+
+  /**
+    Retrace the path from a particular leaf to the root of a sorted-mode hash
+    tree, collecting the sibling hashes of the path as a proof.
+
+    @param _nodes The array of every node of the tree as computed by
+      `computeSortedNodes`.
+    @param _index The index of the leaf in ascending order of leaf hashes.
+
+    @return A proof array containing the hashes of nodes that can reconstruct
+      the tree's root hash given the leaf at `_index`.
+  */
+  static computeSortedProofFromNodes (_nodes, _index) {
+    let proof = [];
+    let path = _nodes.length - 1 - _index;
+    while (path > 0) {
+      proof.push(_nodes[(path % 2 == 1) ? path + 1 : path - 1]);
+      path = Math.floor((path - 1) / 2);
+    }
+    return proof;
+  }
+
+  /**
+    Compute a multiproof that proves several leaves of a sorted-mode hash tree
+    at once. Sibling hashes shared between the paths of the leaves are included
+    only once, and hashes derivable from the leaves themselves are omitted. The
+    multiproof follows the format of OpenZeppelin's `MerkleProof`.
+
+    @param _nodes The array of every node of the tree as computed by
+      `computeSortedNodes`.
+    @param _indices The indices of the leaves to prove, in ascending order of
+      leaf hashes.
+
+    @return An object containing the `indices` of the proven leaves in the order
+      that they must be supplied to the verifier, the `proof` array of sibling
+      hashes, and the `proofFlags` array which marks whether each hashing step
+      consumes a known hash (true) or the next element of `proof` (false).
+
+    @throws Error If an index is duplicated or is not a leaf of the tree.
+  */
+  static computeSortedMultiProofFromNodes (_nodes, _indices) {
+    let leafCount = (_nodes.length + 1) / 2;
+    let indices = [ ..._indices ].sort((a, b) => a - b);
+    for (let i = 0; i < indices.length; i++) {
+      if (
+        !Number.isInteger(indices[i]) || indices[i] < 0 ||
+        indices[i] >= leafCount
+      ) {
+        throw new Error('The HashTree does not include that leaf.');
+      }
+      if (i > 0 && indices[i] === indices[i - 1]) {
+        throw new Error('The multiproof leaf indices must be unique.');
+      }
+    }
 
     /*
-      The given `_index` parameter specifies which leaf of the hash tree we
-      begin at when retracing our path towards the tree's root. We iteratively
-      prune layers from the tree as we retrace our path back towards the root
-      hash, storing the leaves that we must hash with along the way.
+      Process the tree positions of the leaves from the deepest upwards. Each
+      step hashes a known node with its sibling, which is either the next known
+      node or an element of the proof.
     */
+    let stack = indices.map(index => _nodes.length - 1 - index);
     let proof = [];
-    let path = _index;
-    while (leaves.length > 1) {
+    let proofFlags = [];
+    while (stack.length > 0 && stack[0] > 0) {
+      let position = stack.shift();
+      let sibling = (position % 2 == 1) ? position + 1 : position - 1;
+      if (sibling === stack[0]) {
+        proofFlags.push(true);
+        stack.shift();
+      } else {
+        proofFlags.push(false);
+        proof.push(_nodes[sibling]);
+      }
+      stack.push(Math.floor((position - 1) / 2));
+    }
+    if (indices.length === 0 && _nodes.length > 0) {
+      proof.push(_nodes[0]);
+    }
+    return { indices, proof, proofFlags };
+  }
 
-      /*
-        Our path is currently on the right-hand sibling of a child pair.
-        Therefore, we incorporate the left-hand sibling as an element of our
-        proof.
-      */
-      if ((path % 2) == 1) {
-        proof.push(leaves[path - 1]);
+  /**
+    Compute the root hash of a sorted-mode hash tree from a multiproof, in the
+    same way as OpenZeppelin's `MerkleProof.processMultiProof`.
 
-      /*
-        Our path is currently either on the left-hand sibling of a child pair or
-        on a lone sibling of tree with an odd number of leaves.
-      */
-      } else {
+    @param _leaves The hashes of the proven leaves, in the order of the
+      `indices` returned by `computeSortedMultiProofFromNodes`.
+    @param _proof The array of sibling hashes of the multiproof.
+    @param _proofFlags The array of flags of the multiproof.
 
-        /*
-          If a right-hand sibling exists, we incorporate the left-hand sibling
-          as an element of our proof.
-        */
-        if (typeof leaves[path + 1] != 'undefined') {
-          proof.push(leaves[path + 1]);
-
-        // Otherwise we are a lone child and incorporate ourself.
-        } else {
-          proof.push(leaves[path]);
-        }
+    @return The root hash reconstructed from the multiproof, or `null` if the
+      multiproof is malformed.
+  */
+  static processSortedMultiProof (_leaves, _proof, _proofFlags) {
+    if (_leaves.length + _proof.length - 1 !== _proofFlags.length) {
+      return null;
+    }
+    let hashes = [];
+    let leafPosition = 0;
+    let hashPosition = 0;
+    let proofPosition = 0;
+    let next = () => (leafPosition < _leaves.length)
+      ? _leaves[leafPosition++]
+      : hashes[hashPosition++];
+    for (let i = 0; i < _proofFlags.length; i++) {
+      let a = next();
+      let b = _proofFlags[i] ? next() : _proof[proofPosition++];
+      if (a === undefined || b === undefined) {
+        return null;
       }
+      hashes.push(HashTree.hashSortedPair(a, b));
+    }
+    if (_proofFlags.length > 0) {
+      return hashes[_proofFlags.length - 1];
+    }
+    return (_leaves.length > 0) ? _leaves[0] : _proof[0];
+  }
 
-      // Prune the bottom layer of the tree.
-      HashTree.pruneBottomLayer(leaves);
+  /**
+    Verify a multiproof for several leaves of a sorted-mode hash tree against a
+    particular root hash.
 
-      // Move our path up a level of our constructed binary tree.
-      path = parseInt(path / 2);
+    @param _root The root hash to verify the multiproof against.
+    @param _leaves An array of the proven leaves, each with an `address` (or
+      token ID) and an `allowance`, in the order of the multiproof indices.
+    @param _proof The array of sibling hashes of the multiproof.
+    @param _proofFlags The array of flags of the multiproof.
+    @param _keyType The Solidity type of the keys of the tree.
+
+    @return Whether or not the multiproof verifies every leaf against `_root`.
+  */
+  static verifyMultiProof (
+    _root,
+    _leaves,
+    _proof,
+    _proofFlags,
+    _keyType = 'address'
+  ) {
+    if (!_root || ethers.BigNumber.from(_root).isZero()) {
+      return false;
+    }
+    let hashes = _leaves.map(
+      leaf => HashTree.getSortedLeafHash(leaf.address, leaf.allowance, _keyType)
+    );
+    let root = HashTree.processSortedMultiProof(hashes, _proof, _proofFlags);
+    return root !== null && root.toLowerCase() === _root.toLowerCase();
+  }
+
+  /**
+    Verify a proof for a particular leaf against a particular root hash. This
+    mirrors the on-chain verification of `DropAuctionShop721`: a zero root never
+    verifies, index-ordered proofs are retraced with `getRootHash`, and sorted
+    proofs are retraced like OpenZeppelin's `MerkleProof`.
+
+    @param _root The root hash to verify the proof against.
+    @param _index The index of the leaf; ignored by sorted trees.
+    @param _address The address of the caller in the leaf; or, for trees keyed
+      by token ID, the token ID.
+    @param _allowance The allowance of the caller in the leaf.
+    @param _proof The proof array for the leaf.
+    @param _options An optional object with the `keyType` of the leaf and a
+      `sorted` flag, as accepted by the `HashTree` constructor.
+
+    @return Whether or not the proof verifies the leaf against `_root`.
+  */
+  static verifyProof (
+    _root,
+    _index,
+    _address,
+    _allowance,
+    _proof,
+    _options = {}
+  ) {
+    let { keyType = 'address', sorted = false } = _options;
+    if (!_root || ethers.BigNumber.from(_root).isZero()) {
+      return false;
     }
+    let node;
 
-    // Return the proof array.
-    return proof;
+    // Retrace a sorted proof by hashing each pair of siblings in order.
+    if (sorted) {
+      node = HashTree.getSortedLeafHash(_address, _allowance, keyType);
+      for (let i = 0; i < _proof.length; i++) {
+        node = HashTree.hashSortedPair(node, _proof[i]);
+      }
+
+    // Retrace an index-ordered proof by following the bits of the index.
+    } else {
+      node = ethers.utils.solidityKeccak256(
+        [ 'uint256', keyType, 'uint256' ],
+        [ _index, _address, _allowance ]
+      );
+      let path = ethers.BigNumber.from(_index);
+      for (let i = 0; i < _proof.length; i++) {
+        node = (path.mod(2).eq(1))
+          ? ethers.utils.solidityKeccak256(
+            [ 'bytes32', 'bytes32' ],
+            [ _proof[i], node ]
+          )
+          : ethers.utils.solidityKeccak256(
+            [ 'bytes32', 'bytes32' ],
+            [ node, _proof[i] ]
+          );
+        path = path.div(2);
+      }
+    }
+    return node.toLowerCase() === _root.toLowerCase();
+  }
+
+  /**
+    Verify every leaf of an exported tree, as produced by `getTree`, against a
+    particular root hash.
+
+    @param _tree An exported tree containing a `rootHash`, an optional `sorted`
+      flag, and an array of `leaves` with their proofs.
+    @param _root The root hash to verify the leaves against.
+    @param _keyType The Solidity type of the keys of the tree.
+
+    @return A report containing whether the exported `rootHash` matches
+      `_root`, the number of leaves, the leaves which failed verification, and
+      whether the whole tree is `valid`.
+  */
+  static verifyTree (_tree, _root, _keyType = 'address') {
+    let options = { keyType: _keyType, sorted: !!_tree.sorted };
+    let invalid = _tree.leaves.filter(leaf => !HashTree.verifyProof(
+      _root,
+      leaf.index,
+      leaf.address,
+      leaf.allowance,
+      leaf.proof,
+      options
+    ));
+    let matchesRoot =
+      (`${_tree.rootHash}`.toLowerCase() === _root.toLowerCase());
+    return {
+      rootHash: _tree.rootHash,
+      matchesRoot: matchesRoot,
+      count: _tree.leaves.length,
+      invalid: invalid,
+      valid: matchesRoot && invalid.length === 0
+    };
+  }
+
+  /**
+    Verify every tree of an exported trees file, in the `{ trees: [ ... ] }`
+    format written by our scripts, against a particular root hash.
+
+    @param _data The parsed contents of an exported trees file.
+    @param _root The root hash to verify each tree against.
+    @param _keyType The Solidity type of the keys of each tree.
+
+    @return An array of reports, one per tree, as returned by `verifyTree`.
+  */
+  static verifyTrees (_data, _root, _keyType = 'address') {
+    return _data.trees.map(tree => HashTree.verifyTree(tree, _root, _keyType));
+  }
+
+  /**
+    Normalize a hash tree, an object of balances, or an exported tree into a
+    common form for diffing.
+
+    @param _tree A `HashTree`, an object mapping addresses to allowances, or an
+      exported tree as produced by `getTree`.
+    @param _options The options with which to build a hash tree from an object
+      of balances, as accepted by the `HashTree` constructor.
+
+    @return An object containing the `rootHash`, the `sorted` flag, and a map
+      from each lowercase address to its leaf, including the leaf's proof.
+  */
+  static normalizeTree (_tree, _options = {}) {
+    let tree = _tree;
+    if (!(tree instanceof HashTree) && !Array.isArray(tree.leaves)) {
+      tree = new HashTree(tree, _options);
+    }
+    if (tree instanceof HashTree) {
+      tree = tree.getTree();
+    }
+    return {
+      rootHash: tree.rootHash,
+      sorted: !!tree.sorted,
+      leaves: new Map(tree.leaves.map(
+        leaf => [ `${leaf.address}`.toLowerCase(), leaf ]
+      ))
+    };
+  }
+
+  /**
+    Compare two versions of a whitelist. Each version may be a `HashTree`, an
+    object mapping addresses to allowances, or an exported tree as produced by
+    `getTree`. Alongside the added, removed, and changed addresses, the diff
+    reports which addresses present in both versions keep a valid proof and
+    which hold a proof that has become stale and must be refreshed.
+
+    @param _before The earlier version of the whitelist.
+    @param _after The later version of the whitelist.
+    @param _options The options with which to build hash trees from objects of
+      balances, as accepted by the `HashTree` constructor.
+
+    @return An object containing the `oldRoot` and `newRoot` hashes, whether
+      the root has changed, the `added` and `removed` addresses, the `changed`
+      addresses with their old and new allowances, and the addresses in both
+      versions whose old proofs remain `valid` or have become `stale`.
+  */
+  static diff (_before, _after, _options = {}) {
+    let { keyType = 'address' } = _options;
+    let before = HashTree.normalizeTree(_before, _options);
+    let after = HashTree.normalizeTree(_after, _options);
+    let added = [];
+    let removed = [];
+    let changed = [];
+    let valid = [];
+    let stale = [];
+
+    // Find addresses which were removed, changed, or kept.
+    for (let [ address, leaf ] of before.leaves) {
+      let newLeaf = after.leaves.get(address);
+      if (newLeaf === undefined) {
+        removed.push(address);
+        continue;
+      }
+      if (`${newLeaf.allowance}` !== `${leaf.allowance}`) {
+        changed.push({
+          address: address,
+          oldAllowance: leaf.allowance,
+          newAllowance: newLeaf.allowance
+        });
+      }
+
+      /*
+        An old leaf remains valid only if its stored index, allowance, and proof
+        still verify against the new root.
+      */
+      let stillValid = HashTree.verifyProof(
+        after.rootHash,
+        leaf.index,
+        address,
+        leaf.allowance,
+        leaf.proof,
+        { keyType: keyType, sorted: after.sorted }
+      ) && before.sorted === after.sorted;
+      (stillValid ? valid : stale).push(address);
+    }
+
+    // Find addresses which were added.
+    for (let address of after.leaves.keys()) {
+      if (!before.leaves.has(address)) {
+        added.push(address);
+      }
+    }
+    return {
+      oldRoot: before.rootHash,
+      newRoot: after.rootHash,
+      rootChanged: before.rootHash !== after.rootHash,
+      added: added,
+      removed: removed,
+      changed: changed,
+      valid: valid,
+      stale: stale
+    };
   }
 
   /**
@@ -193,9 +669,31 @@ export default class HashTree {
   */
   balances;
 
+  // Store the Solidity type of the keys of a specific instance of a hash tree.
+  keyType;
+
+  // Store whether a specific instance of a hash tree is built in sorted mode.
+  sorted;
+
   // Store the root hash of a specific instance of a hash tree.
   rootHash;
 
+  // Store the expanded leaves of a specific instance of a hash tree.
+  leaves;
+
+  /**
+    Store every layer of hashes of a specific instance of an indexed-mode hash
+    tree, from the leaf hashes up to the root hash, so that proofs need not
+    rebuild the tree.
+  */
+  layers;
+
+  // Store every node of a specific instance of a sorted-mode hash tree.
+  nodes;
+
+  // Store a map from each address of the hash tree to the index of its leaf.
+  indices;
+
   /**
     Construct a new hash tree for controlling token distribution by providing an
     object mapping caller addresses to their allowances. The `_balances` object
@@ -205,44 +703,74 @@ export default class HashTree {
     @param _balances An object where each key is the address of a caller and
       each value is the token allowance granted to that caller. Addresses will
       be stored in lowercase.
+    @param _options An optional object configuring the tree. Its `keyType` is
+      the Solidity type of each key of `_balances`, defaulting to 'address';
+      trees of token IDs, such as the staking weights of items, use 'uint256'.
+      If its `sorted` flag is set, the tree is built in the sorted mode
+      compatible with OpenZeppelin's `MerkleProof`.
   */
-  constructor (_balances) {
+  constructor (_balances, _options = {}) {
+    let { keyType = 'address', sorted = false } = _options;
     this.balances = Object.fromEntries(
       Object.entries(_balances).map(
         ([ address, allowance ]) => [ address.toLowerCase(), allowance ]
       )
     );
-    this.rootHash = HashTree.computeRootHash(_balances);
+    this.keyType = keyType;
+    this.sorted = sorted;
+
+    /*
+      Expand and hash the leaves once, building the whole tree up to the root.
+      The root is built from the same lowercase addresses as every proof so that
+      the two always agree.
+    */
+    this.leaves = HashTree.expandLeaves(this.balances);
+    if (sorted) {
+
+      /*
+        Sorted-mode leaves are ordered by their hashes rather than by their
+        addresses; the index of each leaf is its position in that order.
+      */
+      let hashes = this.leaves.map(
+        leaf => HashTree.getSortedLeafHash(leaf.address, leaf.allowance, keyType)
+      );
+      let order = this.leaves.map((leaf, i) => i).sort(
+        (a, b) => (hashes[a] < hashes[b]) ? -1 : 1
+      );
+      this.leaves = order.map((position, i) => {
+        return { ...this.leaves[position], index: i };
+      });
+      this.nodes = HashTree.computeSortedNodes(
+        order.map(position => hashes[position])
+      );
+      this.rootHash = this.nodes[0];
+    } else {
+      this.layers = HashTree.computeLayers(
+        HashTree.getLeafHashes(this.balances, keyType)
+      );
+      this.rootHash = this.layers[this.layers.length - 1][0];
+    }
+    this.indices = new Map(
+      this.leaves.map(leaf => [ leaf.address, leaf.index ])
+    );
   }
 
   /**
     Retrieve the index of an address in the flattened list of leaf hashes. This
-    function throws an error if the address is not in the hash tree or if the
-    tree is wrongly constructed.
+    function throws an error if the address is not in the hash tree.
 
     @param _address The address of a caller to retrieve an index of.
 
     @return The index of the address `_address` in the hash tree.
 
-    @throws Error If the hash tree has wrongly-mapped indices.
     @throws Error If `_address` is not found in the hash tree.
   */
   getIndex (_address) {
-    let address = _address.toLowerCase();
-    let leaves = HashTree.expandLeaves(this.balances);
-
-    // Iterate through all leaves, checking indices and returning any match.
-    for (let i = 0; i < leaves.length; i++) {
-      if (i != leaves[i].index) {
-        throw new Error('The HashTree indices map wrongly.');
-      }
-      if (leaves[i].address === address) {
-        return leaves[i].index;
-      }
+    let index = this.indices.get(_address.toLowerCase());
+    if (index === undefined) {
+      throw new Error('The HashTree does not include that address.');
     }
-
-    // Throw an error if no index is found.
-    throw new Error('The HashTree does not include that address.');
+    return index;
   }
 
   /**
@@ -254,8 +782,7 @@ export default class HashTree {
     @return The address of the caller in the leaf `_index`.
   */
   getAddress (_index) {
-    let leaves = HashTree.expandLeaves(this.balances);
-    return leaves[_index].address;
+    return this.leaves[_index].address;
   }
 
   /**
@@ -267,8 +794,7 @@ export default class HashTree {
     @return The allowance of the caller in the leaf `_index`.
   */
   getAllowance (_index) {
-    let leaves = HashTree.expandLeaves(this.balances);
-    return leaves[_index].allowance;
+    return this.leaves[_index].allowance;
   }
 
   /**
@@ -280,24 +806,118 @@ export default class HashTree {
     @return The proof array for the caller in the leaf `_index`.
   */
   getProof (_index) {
-    return HashTree.computeProof(this.balances, _index);
+    if (_index == null) {
+      throw new Error('The proof index must be non-null.');
+    }
+    return this.sorted
+      ? HashTree.computeSortedProofFromNodes(this.nodes, _index)
+      : HashTree.computeProofFromLayers(this.layers, _index);
+  }
+
+  /**
+    Retrieve a multiproof proving several leaves of the hash tree at once. Only
+    trees built in sorted mode support multiproofs.
+
+    @param _indices The indices of the leaves to prove.
+
+    @return An object containing the proven `leaves`, in the order that they
+      must be supplied to the verifier, and the `proof` and `proofFlags` arrays
+      of the multiproof.
+
+    @throws Error If the hash tree was not built in sorted mode.
+  */
+  getMultiProof (_indices) {
+    if (!this.sorted) {
+      throw new Error('Only sorted HashTrees support multiproofs.');
+    }
+    let { indices, proof, proofFlags } =
+      HashTree.computeSortedMultiProofFromNodes(this.nodes, _indices);
+    return {
+      leaves: indices.map(index => this.leaves[index]),
+      proof: proof,
+      proofFlags: proofFlags
+    };
+  }
+
+  /**
+    Create a new hash tree by applying changes to the balances of this one. The
+    new tree is built with the same options as this tree, and this tree is left
+    unchanged. Use `HashTree.diff` to find which proofs the changes invalidate.
+
+    @param _changes An object mapping addresses to their new allowances. An
+      allowance of `null` removes the address from the tree.
+
+    @return A new `HashTree` with the changes applied.
+  */
+  update (_changes) {
+    let balances = { ...this.balances };
+    for (let [ address, allowance ] of Object.entries(_changes)) {
+      if (allowance === null) {
+        delete balances[address.toLowerCase()];
+      } else {
+        balances[address.toLowerCase()] = allowance;
+      }
+    }
+    return new HashTree(balances, {
+      keyType: this.keyType,
+      sorted: this.sorted
+    });
+  }
+
+  /**
+    Look up the leaf of a caller in the hash tree, along with its proof and
+    whether that proof verifies against the root hash of the tree.
+
+    @param _address The address of the caller to look up.
+
+    @return An object containing the index, address, allowance, and proof of
+      the caller's leaf and a `verified` flag, or `null` if the caller is not in
+      the hash tree.
+  */
+  lookup (_address) {
+    let index = this.indices.get(_address.toLowerCase());
+    if (index === undefined) {
+      return null;
+    }
+    let leaf = this.leaves[index];
+    let proof = this.getProof(index);
+    return {
+      ...leaf,
+      proof: proof,
+      verified: HashTree.verifyProof(
+        this.rootHash,
+        index,
+        leaf.address,
+        leaf.allowance,
+        proof,
+        { keyType: this.keyType, sorted: this.sorted }
+      )
+    };
   }
 
   /**
     Return a data structure containing the root hash of the hash tree and an
-    array of all leaves containing their proofs.
+    array of all leaves containing their proofs. Trees built in sorted mode are
+    flagged as such.
 
     @return The root hash and leaves of the hash tree.
   */
   getTree () {
-    let leaves = HashTree.expandLeaves(this.balances);
-
-    // Embed the proof for each leaf.
-    for (let i = 0; i < leaves.length; i++) {
-      leaves[i].proof = HashTree.computeProof(this.balances, i)
-    }
+    let leaves = this.leaves.map((leaf, i) => {
+      return {
+        ...leaf,
+        proof: this.getProof(i)
+      };
+    });
 
     // Return the root and leaves of the tree.
+    if (this.sorted) {
+      return {
+        rootHash: this.rootHash,
+        sorted: true,
+        leaves: leaves
+      };
+    }
     return {
       rootHash: this.rootHash,
       leaves: leaves
@@ -0,0 +1,236 @@
+'use strict';
+
+// Imports.
+import { ethers } from 'ethers';
+import * as fs from 'fs';
+import * as path from 'path';
+import HashTree from './HashTree';
+
+/**
+  Parse the rows of a whitelist from the contents of a CSV file. Each row holds
+  an address and an allowance separated by a comma. Blank lines, lines starting
+  with `#`, and a leading `address,allowance` header are ignored.
+
+  @param _contents The contents of the CSV file.
+
+  @return An array of rows, each containing a label with the line number,
+    address, and allowance of an entry of the whitelist.
+*/
+function parseCsv (_contents) {
+  let rows = [];
+  let lines = _contents.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i].trim();
+    if (line === '' || line.startsWith('#')) {
+      continue;
+    }
+    let fields = line.split(',').map(field => field.trim());
+    if (rows.length === 0 && fields[0].toLowerCase() === 'address') {
+      continue;
+    }
+    rows.push({
+      label: `Line ${i + 1}`,
+      address: fields[0],
+      allowance: fields[1],
+      extra: fields.length > 2
+    });
+  }
+  return rows;
+}
+
+/**
+  Parse the rows of a whitelist from the contents of a JSON file. The file may
+  hold either an object mapping addresses to allowances or an array of entries,
+  where each entry is an `{ address, allowance }` object or an
+  `[ address, allowance ]` pair.
+
+  @param _contents The contents of the JSON file.
+
+  @return An array of rows, each containing a label with the entry number,
+    address, and allowance of an entry of the whitelist.
+
+  @throws Error If the file does not hold a supported JSON structure.
+*/
+function parseJson (_contents) {
+  let data = JSON.parse(_contents);
+  if (Array.isArray(data)) {
+    return data.map(function (entry, i) {
+      if (Array.isArray(entry)) {
+        return {
+          label: `Entry ${i + 1}`,
+          address: entry[0],
+          allowance: entry[1]
+        };
+      }
+      return {
+        label: `Entry ${i + 1}`,
+        address: entry && entry.address,
+        allowance: entry && entry.allowance
+      };
+    });
+  } else if (data !== null && typeof data === 'object') {
+    return Object.entries(data).map(([ address, allowance ], i) => {
+      return {
+        label: `Entry ${i + 1}`,
+        address: address,
+        allowance: allowance
+      };
+    });
+  }
+  throw new Error('The whitelist JSON must be an object or an array.');
+}
+
+/**
+  Parse a whitelist allowance, accepting only positive integers given either as
+  numbers or as strings of decimal digits.
+
+  @param _allowance The allowance to parse.
+
+  @return The allowance as a number, or `null` if it is invalid.
+*/
+function parseAllowance (_allowance) {
+  let allowance = _allowance;
+  if (typeof allowance === 'string') {
+    if (!/^[0-9]+$/.test(allowance)) {
+      return null;
+    }
+    allowance = Number(allowance);
+  }
+  if (!Number.isSafeInteger(allowance) || allowance < 1) {
+    return null;
+  }
+  return allowance;
+}
+
+/**
+  Validate the rows of a whitelist and convert them into the balances object
+  expected by `HashTree`. Every invalid row is reported rather than only the
+  first.
+
+  @param _rows An array of rows, each containing a label, address, and
+    allowance.
+
+  @return An object containing the `balances` of the valid rows, keyed by
+    lowercase address, and an array of `errors` describing every invalid row.
+*/
+export function validateWhitelist (_rows) {
+  let balances = {};
+  let firstLabels = {};
+  let errors = [];
+  for (let row of _rows) {
+    let label = row.label;
+
+    // Reject rows with unexpected fields.
+    if (row.extra) {
+      errors.push(`${label}: expected only an address and an allowance.`);
+      continue;
+    }
+
+    // Reject invalid addresses, including those with a broken checksum.
+    if (
+      typeof row.address !== 'string' || !ethers.utils.isAddress(row.address)
+    ) {
+      errors.push(`${label}: invalid address "${row.address}".`);
+      continue;
+    }
+
+    /*
+      Reject duplicate addresses. `HashTree` stores addresses in lowercase, so
+      addresses that differ only in case are duplicates.
+    */
+    let address = row.address.toLowerCase();
+    if (firstLabels[address] !== undefined) {
+      errors.push(
+        `${label}: duplicate address ${row.address} (first seen at ` +
+        `${firstLabels[address]}).`
+      );
+      continue;
+    }
+    firstLabels[address] = label;
+
+    // Reject allowances which are not positive integers.
+    let allowance = parseAllowance(row.allowance);
+    if (allowance === null) {
+      errors.push(`${label}: invalid allowance "${row.allowance}".`);
+      continue;
+    }
+    balances[address] = allowance;
+  }
+  return { balances, errors };
+}
+
+/**
+  Read the rows of a whitelist from a CSV or JSON file, chosen by the file
+  extension.
+
+  @param _file The path to the whitelist file.
+
+  @return An array of rows, each containing a label, address, and allowance.
+*/
+export function readWhitelist (_file) {
+  let contents = fs.readFileSync(_file, 'utf8');
+  if (path.extname(_file).toLowerCase() === '.json') {
+    return parseJson(contents);
+  }
+  return parseCsv(contents);
+}
+
+/**
+  Build a whitelist hash tree from a CSV or JSON file of addresses and
+  allowances, export the tree with per-address proofs for the frontend, and
+  log a summary of the whitelist. The `--sorted` flag builds the tree in the
+  sorted mode compatible with OpenZeppelin's `MerkleProof`.
+
+  Usage: node -r @babel/register scripts/build-whitelist.js [--sorted] <input>
+    [output]
+*/
+function main () {
+  let args = process.argv.slice(2);
+  let sorted = args.includes('--sorted');
+  let [ input, output ] = args.filter(arg => arg !== '--sorted');
+  if (!input) {
+    console.error(
+      'Usage: node -r @babel/register scripts/build-whitelist.js [--sorted] ' +
+      '<whitelist.csv|whitelist.json> [trees.json]'
+    );
+    process.exit(1);
+  }
+
+  // Read and validate the whitelist, reporting every invalid entry.
+  let { balances, errors } = validateWhitelist(readWhitelist(input));
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(error));
+    console.error(`Rejected ${input}: ${errors.length} invalid entries.`);
+    process.exit(1);
+  }
+  let count = Object.keys(balances).length;
+  if (count === 0) {
+    console.error(`Rejected ${input}: the whitelist is empty.`);
+    process.exit(1);
+  }
+
+  /*
+    Export the generated whitelist hash tree to a file for inclusion in the
+    frontend interface.
+  */
+  let tree = new HashTree(balances, { sorted });
+  let timestamp = Math.floor(Date.now() / 1000);
+  let file = output !== undefined ? output : `./trees-${timestamp}.json`;
+  fs.writeFileSync(file, JSON.stringify({
+    trees: [ tree.getTree() ]
+  }));
+
+  // Log a summary of the whitelist.
+  let totalAllowance = Object.values(balances)
+    .reduce((total, allowance) => total + allowance, 0);
+  console.log(`* Addresses: ${count}`);
+  console.log(`* Total allowance: ${totalAllowance}`);
+  console.log(`* Root hash: ${tree.rootHash}`);
+  console.log(`* Hashing mode: ${sorted ? 'sorted' : 'indexed'}`);
+  console.log(`* Tree written to: ${file}`);
+}
+
+// Only run the command when this script is executed directly.
+if (require.main === module) {
+  main();
+}
@@ -144,8 +144,15 @@ async function main() {
     transactionCap: TRANSACTION_CAP,
     startingPrice: STARTING_PRICE,
     endingPrice: ENDING_PRICE,
+    curve: 0,
     tickDuration: TICK_DURATION,
-    tickAmount: TICK_AMOUNT
+    tickAmount: TICK_AMOUNT,
+    priceSteps: [ ],
+    rebates: false,
+    paymentTokens: [ ],
+    payees: [ ],
+    signer: ethers.constants.AddressZero,
+    reserveCap: 0
   };
 
   // Prepare configuration details for the ETH whitelist.
@@ -154,7 +161,9 @@ async function main() {
     startTime: PRESALE_START_TIME,
     endTime: PRESALE_END_TIME,
     price: PRESALE_ETHER_PRICE,
-    token: ethers.constants.AddressZero
+    token: ethers.constants.AddressZero,
+    sorted: false,
+    cap: 0
   };
 
   // Prepare configuration details for the token whitelist.
@@ -163,7 +172,9 @@ async function main() {
     startTime: PRESALE_START_TIME,
     endTime: PRESALE_END_TIME,
     price: PRESALE_TOKEN_PRICE,
-    token: PRESALE_TOKEN_ADDRESS
+    token: PRESALE_TOKEN_ADDRESS,
+    sorted: false,
+    cap: 0
   };
 
   // Deploy the item shop.
@@ -0,0 +1,74 @@
+'use strict';
+
+// Imports.
+import * as fs from 'fs';
+import HashTree from './HashTree';
+
+/**
+  Verify every stored proof of an exported trees file against a deployed root
+  hash and log a report of each tree. If addresses are given, log whether each
+  address has a leaf in the file and whether its stored proof verifies.
+
+  Usage: node -r @babel/register scripts/verify-whitelist.js <trees.json>
+    <root> [address ...]
+*/
+function main () {
+  let [ file, root, ...addresses ] = process.argv.slice(2);
+  if (!file || !root) {
+    console.error(
+      'Usage: node -r @babel/register scripts/verify-whitelist.js ' +
+      '<trees.json> <root> [address ...]'
+    );
+    process.exit(1);
+  }
+  let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // Log a report of each tree in the file.
+  let reports = HashTree.verifyTrees(data, root);
+  reports.forEach(function (report, i) {
+    console.log(`* Tree ${i}: ${report.valid ? 'valid' : 'INVALID'}`);
+    console.log(`  -> Root hash: ${report.rootHash}` +
+      `${report.matchesRoot ? '' : ' (does not match)'}`);
+    console.log(`  -> Leaves: ${report.count}`);
+    report.invalid.forEach(leaf => {
+      console.log(`  -> Invalid proof: ${leaf.address} (index ${leaf.index})`);
+    });
+  });
+
+  // Log the stored proof of each requested address.
+  for (let address of addresses) {
+    let found = false;
+    data.trees.forEach(function (tree, i) {
+      let leaf = tree.leaves.find(
+        leaf => `${leaf.address}`.toLowerCase() === address.toLowerCase()
+      );
+      if (leaf) {
+        found = true;
+        let verified = HashTree.verifyProof(
+          root,
+          leaf.index,
+          leaf.address,
+          leaf.allowance,
+          leaf.proof,
+          { sorted: !!tree.sorted }
+        );
+        let status = verified ? 'verified' : 'UNVERIFIED';
+        console.log(`* ${address} in tree ${i}: index ${leaf.index}, ` +
+          `allowance ${leaf.allowance}, ${status}`);
+      }
+    });
+    if (!found) {
+      console.log(`* ${address}: not found`);
+    }
+  }
+
+  // Exit with an error if no tree fully verifies against the root.
+  if (!reports.some(report => report.valid)) {
+    process.exit(1);
+  }
+}
+
+// Only run the command when this script is executed directly.
+if (require.main === module) {
+  main();
+}
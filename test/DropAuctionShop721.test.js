@@ -44,6 +44,7 @@ describe('DropAuctionShop721', function () {
   const PRESALE_DURATION = 60 * 60 * 2;
   let ETHER_PRESALE_ROOT;
   let TOKEN_PRESALE_ROOT;
+  let SORTED_PRESALE_ROOT;
   let PRESALE_TOKEN_ADDRESS;
   const PRESALE_ETHER_PRICE = ethers.utils.parseEther('1');
   const PRESALE_TOKEN_PRICE = ethers.utils.parseEther('5555');
@@ -62,7 +63,11 @@ describe('DropAuctionShop721', function () {
   const ENDING_PRICE = ethers.utils.parseEther('1');
   const TICK_DURATION = 60 * 15;
   const TICK_AMOUNT = ethers.utils.parseEther('0.01');
-  let tiny721, token, shop, distribution;
+  const TOKEN_STARTING_PRICE = ethers.utils.parseEther('10000');
+  const TOKEN_ENDING_PRICE = ethers.utils.parseEther('5000');
+  const TOKEN_TICK_AMOUNT = ethers.utils.parseEther('50');
+  const RESERVE_CAP = 10;
+  let tiny721, token, shop, distribution, sortedDistribution;
   beforeEach(async () => {
 
     // Construct a hash tree for the whitelists.
@@ -80,10 +85,12 @@ describe('DropAuctionShop721', function () {
       balances[recipients[i].toLowerCase()] = 1;
     }
     distribution = new HashTree(balances);
+    sortedDistribution = new HashTree(balances, { sorted: true });
 
     // Store the root hash of the whitelist.
     ETHER_PRESALE_ROOT = distribution.rootHash;
     TOKEN_PRESALE_ROOT = distribution.rootHash;
+    SORTED_PRESALE_ROOT = sortedDistribution.rootHash;
 
     // Deploy an instance of the Tiny721 ERC-721 item contract.
     tiny721 = await Tiny721.connect(alice.signer).deploy(
@@ -123,8 +130,23 @@ describe('DropAuctionShop721', function () {
         transactionCap: TRANSACTION_CAP,
         startingPrice: STARTING_PRICE,
         endingPrice: ENDING_PRICE,
+        curve: 0,
         tickDuration: TICK_DURATION,
-        tickAmount: TICK_AMOUNT
+        tickAmount: TICK_AMOUNT,
+        priceSteps: [ ],
+        rebates: false,
+        paymentTokens: [
+          {
+            token: PRESALE_TOKEN_ADDRESS,
+            startingPrice: TOKEN_STARTING_PRICE,
+            endingPrice: TOKEN_ENDING_PRICE,
+            tickAmount: TOKEN_TICK_AMOUNT,
+            priceSteps: [ ]
+          }
+        ],
+        payees: [ ],
+        signer: dev.address,
+        reserveCap: RESERVE_CAP
       },
 
       // Specify presale whitelists.
@@ -134,14 +156,27 @@ describe('DropAuctionShop721', function () {
           startTime: PRESALE_START_TIME,
           endTime: PRESALE_END_TIME,
           price: PRESALE_ETHER_PRICE,
-          token: ethers.constants.AddressZero
+          token: ethers.constants.AddressZero,
+          sorted: false,
+          cap: 0
         },
         {
           root: TOKEN_PRESALE_ROOT,
           startTime: PRESALE_START_TIME,
           endTime: PRESALE_END_TIME,
           price: PRESALE_TOKEN_PRICE,
-          token: PRESALE_TOKEN_ADDRESS
+          token: PRESALE_TOKEN_ADDRESS,
+          sorted: false,
+          cap: 0
+        },
+        {
+          root: SORTED_PRESALE_ROOT,
+          startTime: PRESALE_START_TIME,
+          endTime: PRESALE_END_TIME,
+          price: PRESALE_ETHER_PRICE,
+          token: ethers.constants.AddressZero,
+          sorted: true,
+          cap: 0
         }
       ]
     );
@@ -151,6 +186,287 @@ describe('DropAuctionShop721', function () {
     await tiny721.connect(alice.signer).setAdmin(shop.address, true);
   });
 
+  // Perform tests on managing whitelists before the presale.
+  context('before the whitelist sale', async function () {
+    let whitelist;
+    beforeEach(async function () {
+      whitelist = {
+        root: SORTED_PRESALE_ROOT,
+        startTime: PRESALE_START_TIME,
+        endTime: PRESALE_END_TIME,
+        price: PRESALE_ETHER_PRICE,
+        token: ethers.constants.AddressZero,
+        sorted: true,
+        cap: 0
+      };
+    });
+
+    // The owner may add, update, and disable whitelists.
+    it('allows the owner to manage whitelists', async function () {
+      await expect(
+        shop.connect(bob.signer).addWhitelist(whitelist)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+      await expect(
+        shop.connect(alice.signer).addWhitelist(whitelist)
+      ).to.emit(shop, 'WhitelistSet');
+      let whitelistCount = await shop.whitelistCount();
+      whitelistCount.should.be.equal(4);
+
+      // Update the price of the new whitelist.
+      let price = ethers.utils.parseEther('0.5');
+      await expect(
+        shop.connect(alice.signer).updateWhitelist(3, { ...whitelist, price })
+      ).to.emit(shop, 'WhitelistSet');
+      let stored = await shop.whitelists(3);
+      stored.price.should.be.equal(price);
+      stored.sorted.should.be.equal(true);
+
+      // Disable the new whitelist.
+      await expect(
+        shop.connect(alice.signer).disableWhitelist(3)
+      ).to.emit(shop, 'WhitelistDisabled');
+      stored = await shop.whitelists(3);
+      stored.root.should.be.equal(ethers.constants.HashZero);
+      await expect(
+        shop.connect(alice.signer).disableWhitelist(4)
+      ).to.be.revertedWith('CannotUpdateNonexistentWhitelist()');
+    });
+
+    // Whitelists may not change once they have started.
+    it('rejects changes to started whitelists', async function () {
+      await shop.connect(alice.signer).addWhitelist({
+        ...whitelist,
+        startTime: 1
+      });
+      await expect(
+        shop.connect(alice.signer).updateWhitelist(3, whitelist)
+      ).to.be.revertedWith('CannotUpdateStartedWhitelist()');
+      await expect(
+        shop.connect(alice.signer).disableWhitelist(3)
+      ).to.be.revertedWith('CannotUpdateStartedWhitelist()');
+    });
+
+    // The owner may mint items from the reserve to many recipients.
+    it('allows the owner to airdrop from the reserve', async function () {
+      await expect(
+        shop.connect(bob.signer).airdrop([ bob.address ], [ 1 ])
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+      await expect(
+        shop.connect(alice.signer).airdrop([ bob.address ], [ 1, 2 ])
+      ).to.be.revertedWith('CannotAirdropWithMismatchedLengths()');
+      await expect(
+        shop.connect(alice.signer).airdrop([ bob.address, carol.address ],
+          [ 3, RESERVE_CAP ])
+      ).to.be.revertedWith('CannotExceedReserveCap()');
+      await expect(
+        shop.connect(alice.signer).airdrop([ bob.address, carol.address ],
+          [ 3, 2 ])
+      ).to.emit(shop, 'ReserveMinted');
+      let bobBalance = await tiny721.balanceOf(bob.address);
+      bobBalance.should.be.equal(3);
+      let carolBalance = await tiny721.balanceOf(carol.address);
+      carolBalance.should.be.equal(2);
+
+      // Reserve mints do not count as items sold.
+      let sold = await shop.sold();
+      sold.should.be.equal(0);
+      let remaining = await shop.remainingReserve();
+      remaining.should.be.equal(RESERVE_CAP - 5);
+      let minted = await shop.minted();
+      minted.should.be.equal(5);
+    });
+
+    // The sale status should summarize the sale before it begins.
+    it('reports the status of the sale before it begins', async function () {
+      let status = await shop.saleStatus(bob.address);
+      status.phase.should.be.equal(0);
+      status.activeWhitelists.should.deep.equal([ ]);
+      status.price.should.be.equal(STARTING_PRICE);
+      status.nextPriceTime.should.be.equal(PUBLIC_START_TIME + TICK_DURATION);
+      status.sold.should.be.equal(0);
+      status.remaining.should.be.equal(TOTAL_CAP);
+      status.remainingReserve.should.be.equal(RESERVE_CAP);
+      status.paused.should.be.equal(false);
+      status.callerPublicRemaining.should.be.equal(CALLER_CAP);
+    });
+  });
+
+  // Perform tests on the price curves of the public sale.
+  context('with configurable price curves', async function () {
+    async function deployCurve (_configuration) {
+      return DropAuctionShop721.connect(alice.signer).deploy(
+        ITEM_COLLECTION_ADDRESS,
+        {
+          startTime: PUBLIC_START_TIME,
+          endTime: PUBLIC_END_TIME,
+          totalCap: TOTAL_CAP,
+          callerCap: CALLER_CAP,
+          transactionCap: TRANSACTION_CAP,
+          startingPrice: STARTING_PRICE,
+          endingPrice: ENDING_PRICE,
+          curve: 0,
+          tickDuration: TICK_DURATION,
+          tickAmount: TICK_AMOUNT,
+          priceSteps: [ ],
+          rebates: false,
+          paymentTokens: [ ],
+          payees: [ ],
+          signer: ethers.constants.AddressZero,
+          reserveCap: 0,
+          ..._configuration
+        },
+        [ ]
+      );
+    }
+
+    // The linear curve decreases by a fixed amount every tick.
+    it('prices a linear curve', async function () {
+      let price = await shop.currentPrice();
+      price.should.be.equal(STARTING_PRICE);
+      price = await shop.priceAt(PUBLIC_START_TIME + TICK_DURATION * 3);
+      price.should.be.equal(STARTING_PRICE.sub(TICK_AMOUNT.mul(3)));
+      price = await shop.priceAt(PUBLIC_START_TIME + TICK_DURATION * 1000);
+      price.should.be.equal(ENDING_PRICE);
+    });
+
+    // The exponential curve decreases by a fraction of the price every tick.
+    it('prices an exponential curve', async function () {
+      let curveShop = await deployCurve({ curve: 1, tickAmount: 1000 });
+      let price = await curveShop.priceAt(PUBLIC_START_TIME);
+      price.should.be.equal(STARTING_PRICE);
+      price = await curveShop.priceAt(
+        PUBLIC_START_TIME + TICK_DURATION * 2 - 1
+      );
+      price.should.be.equal(ethers.utils.parseEther('1.8'));
+      price = await curveShop.priceAt(PUBLIC_START_TIME + TICK_DURATION * 2);
+      price.should.be.equal(ethers.utils.parseEther('1.62'));
+      price = await curveShop.priceAt(PUBLIC_START_TIME + TICK_DURATION * 7);
+      price.should.be.equal(ENDING_PRICE);
+
+      // The price may not decay by more than the whole price per tick.
+      await expect(
+        deployCurve({ curve: 1, tickAmount: 10001 })
+      ).to.be.revertedWith('CannotDecayByMoreThanPrice()');
+    });
+
+    // The stepped curve holds at the price of each step until the next.
+    it('prices a stepped curve', async function () {
+      let steps = [
+        {
+          timestamp: PUBLIC_START_TIME + 600,
+          price: ethers.utils.parseEther('1.5')
+        },
+        {
+          timestamp: PUBLIC_START_TIME + 3600,
+          price: ethers.utils.parseEther('1.5')
+        },
+        {
+          timestamp: PUBLIC_START_TIME + 4800,
+          price: ethers.utils.parseEther('0.5')
+        }
+      ];
+      let curveShop = await deployCurve({ curve: 2, priceSteps: steps });
+      let price = await curveShop.priceAt(PUBLIC_START_TIME + 599);
+      price.should.be.equal(STARTING_PRICE);
+      price = await curveShop.priceAt(PUBLIC_START_TIME + 600);
+      price.should.be.equal(ethers.utils.parseEther('1.5'));
+      price = await curveShop.priceAt(PUBLIC_START_TIME + 4799);
+      price.should.be.equal(ethers.utils.parseEther('1.5'));
+      price = await curveShop.priceAt(PUBLIC_START_TIME + 4800);
+      price.should.be.equal(ENDING_PRICE);
+      let step = await curveShop.priceSteps(1);
+      step.timestamp.should.be.equal(PUBLIC_START_TIME + 3600);
+      let status = await curveShop.saleStatus(bob.address);
+      status.nextPriceTime.should.be.equal(PUBLIC_START_TIME + 600);
+
+      // Steps may not go back in time, repeat a time, or raise the price.
+      await expect(
+        deployCurve({ curve: 2, priceSteps: [ steps[1], steps[0] ] })
+      ).to.be.revertedWith('CannotOrderPriceStepsOutOfTime()');
+      await expect(
+        deployCurve({
+          curve: 2,
+          priceSteps: [
+            steps[0],
+            { ...steps[2], timestamp: steps[0].timestamp }
+          ]
+        })
+      ).to.be.revertedWith('CannotOrderPriceStepsOutOfTime()');
+      await expect(
+        deployCurve({
+          curve: 2,
+          priceSteps: [
+            steps[2],
+            { ...steps[1], timestamp: steps[2].timestamp + 1 }
+          ]
+        })
+      ).to.be.revertedWith('CannotStepToHigherPrice()');
+
+      // A stepped curve must have at least one step.
+      await expect(
+        deployCurve({ curve: 2, priceSteps: [ ] })
+      ).to.be.revertedWith('CannotStepWithoutPriceSteps()');
+    });
+
+    // Each payment token follows the stepped curve with its own steps.
+    it('prices a stepped curve in each payment token', async function () {
+      let steps = [
+        {
+          timestamp: PUBLIC_START_TIME + 600,
+          price: ethers.utils.parseEther('1.5')
+        }
+      ];
+      let paymentToken = {
+        token: PRESALE_TOKEN_ADDRESS,
+        startingPrice: TOKEN_STARTING_PRICE,
+        endingPrice: TOKEN_ENDING_PRICE,
+        tickAmount: 0,
+        priceSteps: [
+          {
+            timestamp: PUBLIC_START_TIME + 1200,
+            price: ethers.utils.parseEther('7500')
+          }
+        ]
+      };
+      let curveShop = await deployCurve({
+        curve: 2,
+        priceSteps: steps,
+        paymentTokens: [ paymentToken ]
+      });
+      let price = await curveShop.tokenPriceAt(PRESALE_TOKEN_ADDRESS,
+        PUBLIC_START_TIME + 1199);
+      price.should.be.equal(TOKEN_STARTING_PRICE);
+      price = await curveShop.tokenPriceAt(PRESALE_TOKEN_ADDRESS,
+        PUBLIC_START_TIME + 1200);
+      price.should.be.equal(ethers.utils.parseEther('7500'));
+      price = await curveShop.priceAt(PUBLIC_START_TIME + 1200);
+      price.should.be.equal(ethers.utils.parseEther('1.5'));
+
+      // The steps of each token are validated like those of Ether.
+      await expect(
+        deployCurve({
+          curve: 2,
+          priceSteps: steps,
+          paymentTokens: [ { ...paymentToken, priceSteps: [ ] } ]
+        })
+      ).to.be.revertedWith('CannotStepWithoutPriceSteps()');
+      await expect(
+        deployCurve({
+          curve: 2,
+          priceSteps: steps,
+          paymentTokens: [
+            {
+              ...paymentToken,
+              priceSteps: [
+                { timestamp: PUBLIC_START_TIME + 600, price: SUPPLY }
+              ]
+            }
+          ]
+        })
+      ).to.be.revertedWith('CannotStepToHigherPrice()');
+    });
+  });
+
   // Perform tests during the whitelisted presale.
   context('during the whitelist sale', async function () {
     before(async function() {
@@ -186,7 +502,7 @@ describe('DropAuctionShop721', function () {
           index: 1,
           allowance: 1,
           proof: [ zeroLeaf, zeroLeaf, zeroLeaf ]
-        }, {
+        }, ethers.constants.AddressZero, {
           value: ethers.utils.parseEther('1')
         })
       ).to.be.revertedWith('CannotVerifyAsWhitelistMember()');
@@ -197,7 +513,7 @@ describe('DropAuctionShop721', function () {
         index: 1,
         allowance: 1,
         proof: [ zeroLeaf, zeroLeaf, zeroLeaf ]
-      }, {
+      }, ethers.constants.AddressZero, {
         value: ethers.utils.parseEther('1')
       })).to.be.revertedWith('CannotVerifyAsWhitelistMember()');
 
@@ -227,7 +543,7 @@ describe('DropAuctionShop721', function () {
         index: callerIndex,
         allowance: 1,
         proof: callerProof
-      }, {
+      }, ethers.constants.AddressZero, {
         value: ethers.utils.parseEther('1')
       });
 
@@ -258,13 +574,475 @@ describe('DropAuctionShop721', function () {
         index: callerIndex,
         allowance: 1,
         proof: callerProof
-      });
+      }, ethers.constants.AddressZero);
 
       // Ensure that Bob got his item.
       bobBalance = await tiny721.connect(alice.signer)
         .balanceOf(bob.address);
       bobBalance.should.be.equal(1);
     });
+
+    // Attempt to purchase an item from a whitelist with a sorted merkle tree.
+    it('should allow whitelist caller to buy with a sorted merkle proof',
+    async function () {
+      let callerIndex = sortedDistribution.getIndex(bob.address);
+      let callerProof = sortedDistribution.getProof(callerIndex);
+
+      // Bob may not claim a larger allowance than he was granted.
+      await expect(
+        shop.connect(bob.signer).mint(1, {
+          id: 2,
+          index: callerIndex,
+          allowance: 2,
+          proof: callerProof
+        }, ethers.constants.AddressZero, {
+          value: ethers.utils.parseEther('1')
+        })
+      ).to.be.revertedWith('CannotVerifyAsWhitelistMember()');
+
+      // Bob may not reuse his proof from the index-ordered tree.
+      await expect(
+        shop.connect(bob.signer).mint(1, {
+          id: 2,
+          index: distribution.getIndex(bob.address),
+          allowance: 1,
+          proof: distribution.getProof(distribution.getIndex(bob.address))
+        }, ethers.constants.AddressZero, {
+          value: ethers.utils.parseEther('1')
+        })
+      ).to.be.revertedWith('CannotVerifyAsWhitelistMember()');
+
+      // Bob purchases an item with his sorted proof.
+      await shop.connect(bob.signer).mint(1, {
+        id: 2,
+        index: callerIndex,
+        allowance: 1,
+        proof: callerProof
+      }, ethers.constants.AddressZero, {
+        value: ethers.utils.parseEther('1')
+      });
+      let bobBalance = await tiny721.connect(alice.signer)
+        .balanceOf(bob.address);
+      bobBalance.should.be.equal(1);
+    });
+
+    // Attempt to purchase items using the allowance of several whitelists.
+    it('should allow whitelist caller to combine whitelist allowances',
+    async function () {
+      let index = distribution.getIndex(bob.address);
+      let sortedIndex = sortedDistribution.getIndex(bob.address);
+      let etherProof = {
+        id: 0,
+        index: index,
+        allowance: 1,
+        proof: distribution.getProof(index)
+      };
+      let tokenProof = { ...etherProof, id: 1 };
+      let sortedProof = {
+        id: 2,
+        index: sortedIndex,
+        allowance: 1,
+        proof: sortedDistribution.getProof(sortedIndex)
+      };
+
+      // Whitelists must be distinct and given in ascending order.
+      await expect(
+        shop.connect(bob.signer).mintMultiple(2, [ sortedProof, etherProof ], {
+          value: ethers.utils.parseEther('2')
+        })
+      ).to.be.revertedWith('CannotCombineUnsortedWhitelists()');
+      await expect(
+        shop.connect(bob.signer).mintMultiple(2, [ etherProof, etherProof ], {
+          value: ethers.utils.parseEther('2')
+        })
+      ).to.be.revertedWith('CannotCombineUnsortedWhitelists()');
+
+      // Bob may not exceed his combined allowance.
+      await shop.connect(bob.signer).mint(1, etherProof,
+        ethers.constants.AddressZero, {
+          value: ethers.utils.parseEther('1')
+        });
+      await expect(
+        shop.connect(bob.signer).mintMultiple(2, [ etherProof, sortedProof ], {
+          value: ethers.utils.parseEther('2')
+        })
+      ).to.be.revertedWith('CannotExceedWhitelistAllowance()');
+
+      // Bob purchases an item with the remainder of his combined allowance.
+      await shop.connect(bob.signer).mintMultiple(1, [
+        etherProof,
+        sortedProof
+      ], {
+        value: ethers.utils.parseEther('1')
+      });
+      let bobBalance = await tiny721.connect(alice.signer)
+        .balanceOf(bob.address);
+      bobBalance.should.be.equal(2);
+    });
+
+    // Combined whitelists should each charge their own price and token.
+    it('should charge each combined whitelist its own price and token',
+    async function () {
+      let index = distribution.getIndex(bob.address);
+      let etherProof = {
+        id: 0,
+        index: index,
+        allowance: 1,
+        proof: distribution.getProof(index)
+      };
+      let tokenProof = { ...etherProof, id: 1 };
+      await token.connect(bob.signer).approve(shop.address,
+        PRESALE_TOKEN_PRICE);
+
+      // The Ether sent must cover exactly the portion priced in Ether.
+      await expect(
+        shop.connect(bob.signer).mintMultiple(2, [ etherProof, tokenProof ], {
+          value: PRESALE_ETHER_PRICE.mul(2)
+        })
+      ).to.be.revertedWith('CannotTransferIncorrectAmount()');
+
+      // Bob buys one item in Ether and one item in the presale token.
+      let bobTokens = await token.balanceOf(bob.address);
+      let purchase = await shop.connect(bob.signer).mintMultiple(2, [
+        etherProof,
+        tokenProof
+      ], {
+        value: PRESALE_ETHER_PRICE
+      });
+      await expect(purchase).to.emit(shop, 'Purchase');
+      let spent = bobTokens.sub(await token.balanceOf(bob.address));
+      spent.should.be.equal(PRESALE_TOKEN_PRICE);
+      let shopBalance = await ethers.provider.getBalance(shop.address);
+      shopBalance.should.be.equal(PRESALE_ETHER_PRICE);
+      let tokenPayment = await shop.payments(PRESALE_TOKEN_ADDRESS,
+        bob.address);
+      tokenPayment.should.be.equal(PRESALE_TOKEN_PRICE);
+      let bobBalance = await tiny721.connect(alice.signer)
+        .balanceOf(bob.address);
+      bobBalance.should.be.equal(2);
+    });
+
+    // Purchases on one whitelist should not use up the allowance of another.
+    it('should count purchases separately for each whitelist',
+    async function () {
+      let index = distribution.getIndex(bob.address);
+      let etherProof = {
+        id: 0,
+        index: index,
+        allowance: 1,
+        proof: distribution.getProof(index)
+      };
+      await token.connect(bob.signer).approve(shop.address,
+        ethers.constants.MaxUint256);
+      await shop.connect(bob.signer).mint(1, etherProof,
+        ethers.constants.AddressZero, {
+          value: ethers.utils.parseEther('1')
+        });
+      let remaining = await shop.remainingWhitelistAllowance(0, bob.address, 1);
+      remaining.should.be.equal(0);
+      remaining = await shop.remainingWhitelistAllowance(1, bob.address, 1);
+      remaining.should.be.equal(1);
+
+      // Bob may still use his allowance on the token whitelist.
+      let receipt = await (await shop.connect(bob.signer).mint(1, {
+        ...etherProof,
+        id: 1
+      }, ethers.constants.AddressZero)).wait();
+      let purchase = receipt.events.find(event => event.event === 'Purchase');
+      purchase.args.buyer.should.be.equal(bob.address);
+      purchase.args.amount.should.be.equal(1);
+      purchase.args.price.should.be.equal(PRESALE_TOKEN_PRICE);
+      purchase.args.token.should.be.equal(PRESALE_TOKEN_ADDRESS);
+      purchase.args.whitelistId.should.be.equal(1);
+      let purchases = await shop.whitelistPurchases(1, bob.address);
+      purchases.should.be.equal(1);
+      let whitelistSold = await shop.whitelistSold(0);
+      whitelistSold.should.be.equal(1);
+      let purchaseCount = await shop.purchaseCounts(bob.address);
+      purchaseCount.should.be.equal(2);
+      let payment = await shop.payments(PRESALE_TOKEN_ADDRESS, bob.address);
+      payment.should.be.equal(PRESALE_TOKEN_PRICE);
+
+      // Presale purchases do not use up the public sale caller cap.
+      remaining = await shop.remainingPublicAllowance(bob.address);
+      remaining.should.be.equal(CALLER_CAP);
+
+      /*
+        The sale status reports the active whitelists, the remaining supply of
+        each, and Bob's purchases.
+      */
+      let status = await shop.saleStatus(bob.address);
+      status.phase.should.be.equal(1);
+      status.activeWhitelists.map(id => id.toNumber())
+        .should.deep.equal([ 0, 1, 2 ]);
+      status.whitelistRemaining.map(count => count.toNumber())
+        .should.deep.equal(Array(3).fill(TOTAL_CAP - 2));
+      status.callerWhitelistPurchases.map(count => count.toNumber())
+        .should.deep.equal([ 1, 1, 0 ]);
+      status.sold.should.be.equal(2);
+    });
+
+    // Attempt to purchase items with a signature from the trusted signer.
+    it('should allow whitelist caller to buy with a signature',
+    async function () {
+      let block = await ethers.provider.getBlock('latest');
+      let price = ethers.utils.parseEther('0.5');
+      let signPurchase = async function (_signer, _purchase) {
+        let signature = await _signer._signTypedData(
+          {
+            name: 'DropAuctionShop721',
+            version: '1',
+            chainId: network.config.chainId,
+            verifyingContract: shop.address
+          },
+          {
+            purchase: [
+              { name: '_buyer', type: 'address' },
+              { name: '_id', type: 'uint256' },
+              { name: '_allowance', type: 'uint256' },
+              { name: '_price', type: 'uint256' },
+              { name: '_expiry', type: 'uint256' },
+              { name: '_nonce', type: 'uint256' }
+            ]
+          },
+          {
+            '_buyer': bob.address,
+            '_id': _purchase.id,
+            '_allowance': _purchase.allowance,
+            '_price': _purchase.price,
+            '_expiry': _purchase.expiry,
+            '_nonce': _purchase.nonce
+          }
+        );
+        let { v, r, s } = ethers.utils.splitSignature(signature);
+        return { ..._purchase, v, r, s };
+      };
+      let purchase = {
+        id: 0,
+        allowance: 2,
+        price: price,
+        expiry: block.timestamp + 600,
+        nonce: 0
+      };
+
+      // Signatures from anyone but the trusted signer are rejected.
+      let signed = await signPurchase(carol.signer, purchase);
+      await expect(
+        shop.connect(bob.signer).mintSigned(1, signed, { value: price })
+      ).to.be.revertedWith('CannotVerifySignature()');
+
+      // Bob buys an item at the signed price, and may not reuse the nonce.
+      signed = await signPurchase(dev.signer, purchase);
+      await shop.connect(bob.signer).mintSigned(1, signed, { value: price });
+      await expect(
+        shop.connect(bob.signer).mintSigned(1, signed, { value: price })
+      ).to.be.revertedWith('CannotReuseSignatureNonce()');
+
+      // The signed allowance spans every signature on the whitelist.
+      signed = await signPurchase(dev.signer, { ...purchase, nonce: 1 });
+      await expect(
+        shop.connect(bob.signer).mintSigned(2, signed, {
+          value: price.mul(2)
+        })
+      ).to.be.revertedWith('CannotExceedWhitelistAllowance()');
+      await shop.connect(bob.signer).mintSigned(1, signed, { value: price });
+      let purchases = await shop.whitelistPurchases(0, bob.address);
+      purchases.should.be.equal(2);
+      let bobBalance = await tiny721.balanceOf(bob.address);
+      bobBalance.should.be.equal(2);
+
+      // Expired signatures are rejected.
+      signed = await signPurchase(dev.signer, {
+        ...purchase,
+        allowance: 3,
+        expiry: block.timestamp,
+        nonce: 2
+      });
+      await expect(
+        shop.connect(bob.signer).mintSigned(1, signed, { value: price })
+      ).to.be.revertedWith('CannotUseExpiredSignature()');
+    });
+
+    // Purchases through a whitelist may not exceed its cap.
+    it('should enforce the cap of a whitelist', async function () {
+      let cappedShop = await DropAuctionShop721.connect(alice.signer).deploy(
+        ITEM_COLLECTION_ADDRESS,
+        {
+          startTime: PUBLIC_START_TIME,
+          endTime: PUBLIC_END_TIME,
+          totalCap: TOTAL_CAP,
+          callerCap: CALLER_CAP,
+          transactionCap: TRANSACTION_CAP,
+          startingPrice: STARTING_PRICE,
+          endingPrice: ENDING_PRICE,
+          curve: 0,
+          tickDuration: TICK_DURATION,
+          tickAmount: TICK_AMOUNT,
+          priceSteps: [ ],
+          rebates: false,
+          paymentTokens: [ ],
+          payees: [ ],
+          signer: ethers.constants.AddressZero,
+          reserveCap: 0
+        },
+        [
+          {
+            root: SORTED_PRESALE_ROOT,
+            startTime: PRESALE_START_TIME,
+            endTime: PRESALE_END_TIME,
+            price: PRESALE_ETHER_PRICE,
+            token: ethers.constants.AddressZero,
+            sorted: true,
+            cap: 1
+          }
+        ]
+      );
+      await tiny721.connect(alice.signer).setAdmin(cappedShop.address, true);
+      let proofOf = function (_address) {
+        let index = sortedDistribution.getIndex(_address);
+        return {
+          id: 0,
+          index: index,
+          allowance: 1,
+          proof: sortedDistribution.getProof(index)
+        };
+      };
+      await cappedShop.connect(bob.signer).mint(1, proofOf(bob.address),
+        ethers.constants.AddressZero, {
+          value: ethers.utils.parseEther('1')
+        });
+
+      // Alice has an allowance, but the whitelist has sold out.
+      let remaining = await cappedShop.remainingWhitelistAllowance(0,
+        alice.address, 1);
+      remaining.should.be.equal(0);
+      await expect(
+        cappedShop.connect(alice.signer).mint(1, proofOf(alice.address),
+          ethers.constants.AddressZero, {
+            value: ethers.utils.parseEther('1')
+          })
+      ).to.be.revertedWith('CannotExceedWhitelistCap()');
+      let status = await cappedShop.saleStatus(alice.address);
+      status.whitelistRemaining.map(count => count.toNumber())
+        .should.deep.equal([ 0 ]);
+    });
+
+    // A single multiproof may prove a caller's memberships of many whitelists.
+    it('should verify one multiproof across several whitelists',
+    async function () {
+      let block = await ethers.provider.getBlock('latest');
+      let whitelistStart = block.timestamp + 10;
+      let whitelist = {
+        root: SORTED_PRESALE_ROOT,
+        startTime: whitelistStart,
+        endTime: PRESALE_END_TIME,
+        price: PRESALE_ETHER_PRICE,
+        token: ethers.constants.AddressZero,
+        sorted: true,
+        cap: 0
+      };
+      let multiShop = await DropAuctionShop721.connect(alice.signer).deploy(
+        ITEM_COLLECTION_ADDRESS,
+        {
+          startTime: PUBLIC_START_TIME,
+          endTime: PUBLIC_END_TIME,
+          totalCap: TOTAL_CAP,
+          callerCap: CALLER_CAP,
+          transactionCap: TRANSACTION_CAP,
+          startingPrice: STARTING_PRICE,
+          endingPrice: ENDING_PRICE,
+          curve: 0,
+          tickDuration: TICK_DURATION,
+          tickAmount: TICK_AMOUNT,
+          priceSteps: [ ],
+          rebates: false,
+          paymentTokens: [ ],
+          payees: [ ],
+          signer: ethers.constants.AddressZero,
+          reserveCap: 0
+        },
+        [
+          whitelist,
+          {
+            ...whitelist,
+            price: PRESALE_TOKEN_PRICE,
+            token: PRESALE_TOKEN_ADDRESS
+          }
+        ]
+      );
+      await tiny721.connect(alice.signer).setAdmin(multiShop.address, true);
+
+      // Build a tree of memberships across both whitelists.
+      let tree = new HashTree({
+        [HashTree.getWhitelistKey(alice.address, 0)]: 1,
+        [HashTree.getWhitelistKey(bob.address, 0)]: 1,
+        [HashTree.getWhitelistKey(bob.address, 1)]: 1,
+        [HashTree.getWhitelistKey(carol.address, 1)]: 1
+      }, { keyType: 'bytes32', sorted: true });
+      await expect(
+        multiShop.connect(alice.signer).setMultiWhitelistRoot(tree.rootHash)
+      ).to.emit(multiShop, 'MultiWhitelistRootSet');
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        whitelistStart
+      ]);
+      await ethers.provider.send('evm_mine');
+
+      // The root may not change once a whitelist has started.
+      await expect(
+        multiShop.connect(alice.signer).setMultiWhitelistRoot(tree.rootHash)
+      ).to.be.revertedWith('CannotUpdateStartedWhitelist()');
+
+      // Bob proves both of his memberships with a single multiproof.
+      let keys = [
+        HashTree.getWhitelistKey(bob.address, 0),
+        HashTree.getWhitelistKey(bob.address, 1)
+      ];
+      let { leaves, proof, proofFlags } = tree.getMultiProof(
+        keys.map(key => tree.getIndex(key))
+      );
+      let multiProof = {
+        ids: leaves.map(leaf => keys.indexOf(leaf.address)),
+        allowances: leaves.map(leaf => leaf.allowance),
+        proof: proof,
+        proofFlags: proofFlags
+      };
+
+      // The multiproof must prove the caller's exact allowances.
+      await expect(
+        multiShop.connect(bob.signer).mintWithMultiProof(2, {
+          ...multiProof,
+          allowances: multiProof.allowances.map(allowance => allowance + 1)
+        }, {
+          value: PRESALE_ETHER_PRICE
+        })
+      ).to.be.revertedWith('CannotVerifyAsWhitelistMember()');
+      await expect(
+        multiShop.connect(carol.signer).mintWithMultiProof(2, multiProof, {
+          value: PRESALE_ETHER_PRICE
+        })
+      ).to.be.revertedWith('CannotVerifyAsWhitelistMember()');
+
+      // Bob buys one item on each whitelist at its own price and token.
+      await token.connect(bob.signer).approve(multiShop.address,
+        PRESALE_TOKEN_PRICE);
+      let bobTokens = await token.balanceOf(bob.address);
+      await multiShop.connect(bob.signer).mintWithMultiProof(2, multiProof, {
+        value: PRESALE_ETHER_PRICE
+      });
+      let spent = bobTokens.sub(await token.balanceOf(bob.address));
+      spent.should.be.equal(PRESALE_TOKEN_PRICE);
+      let shopBalance = await ethers.provider.getBalance(multiShop.address);
+      shopBalance.should.be.equal(PRESALE_ETHER_PRICE);
+      let bobBalance = await tiny721.balanceOf(bob.address);
+      bobBalance.should.be.equal(2);
+
+      // Bob has used his combined allowance.
+      await expect(
+        multiShop.connect(bob.signer).mintWithMultiProof(1, multiProof, {
+          value: PRESALE_ETHER_PRICE
+        })
+      ).to.be.revertedWith('CannotExceedWhitelistAllowance()');
+    });
   });
 
   // Perform tests during the public sale.
@@ -292,9 +1070,10 @@ describe('DropAuctionShop721', function () {
       };
 
       // Carol will attempt to buy an item.
-      await shop.connect(carol.signer).mint(1, nullProof, {
-        value: ethers.utils.parseEther('2')
-      });
+      await shop.connect(carol.signer).mint(1, nullProof,
+        ethers.constants.AddressZero, {
+          value: ethers.utils.parseEther('2')
+        });
 
       // Ensure that Carol received her item.
       carolBalance = await tiny721.connect(alice.signer)
@@ -317,9 +1096,10 @@ describe('DropAuctionShop721', function () {
       };
 
       // Bob will attempt to buy an item.
-      await shop.connect(bob.signer).mint(1, nullProof, {
-        value: ethers.utils.parseEther('2')
-      });
+      await shop.connect(bob.signer).mint(1, nullProof,
+        ethers.constants.AddressZero, {
+          value: ethers.utils.parseEther('2')
+        });
 
       // Ensure that Bob received his item.
       bobBalance = await tiny721.connect(alice.signer)
@@ -343,9 +1123,10 @@ describe('DropAuctionShop721', function () {
 
       // Bob will attempt to buy an item.
       await expect(
-        shop.connect(bob.signer).mint(1, nullProof, {
-          value: ethers.utils.parseEther('1')
-        })
+        shop.connect(bob.signer).mint(1, nullProof,
+          ethers.constants.AddressZero, {
+            value: ethers.utils.parseEther('1')
+          })
       ).to.be.revertedWith('CannotUnderpayForMint()');
 
       // Ensure that Bob received no item.
@@ -353,5 +1134,565 @@ describe('DropAuctionShop721', function () {
         .balanceOf(bob.address);
       bobBalance.should.be.equal(0);
     });
+
+    // Attempt to purchase items during the public sale with tokens.
+    it('allows caller to buy an item for tokens', async function () {
+      const nullProof = { id: 0, index: 0, allowance: 0, proof: [ ] };
+      let bobTokens = await token.balanceOf(bob.address);
+      await token.connect(bob.signer).approve(shop.address,
+        ethers.constants.MaxUint256);
+
+      // Bob is charged exactly the current token price for two items.
+      let receipt = await (await shop.connect(bob.signer).mint(2, nullProof,
+        PRESALE_TOKEN_ADDRESS)).wait();
+      let block = await ethers.provider.getBlock(receipt.blockNumber);
+      let price = await shop.tokenPriceAt(PRESALE_TOKEN_ADDRESS,
+        block.timestamp);
+      let ticks = Math.floor((block.timestamp - PUBLIC_START_TIME)
+        / TICK_DURATION);
+      price.should.be.equal(
+        TOKEN_STARTING_PRICE.sub(TOKEN_TICK_AMOUNT.mul(ticks))
+      );
+      let spent = bobTokens.sub(await token.balanceOf(bob.address));
+      spent.should.be.equal(price.mul(2));
+      let shopTokens = await token.balanceOf(shop.address);
+      shopTokens.should.be.equal(price.mul(2));
+      let bobBalance = await tiny721.balanceOf(bob.address);
+      bobBalance.should.be.equal(2);
+      let remaining = await shop.remainingPublicAllowance(bob.address);
+      remaining.should.be.equal(CALLER_CAP - 2);
+      let purchase = receipt.events.find(event => event.event === 'Purchase');
+      purchase.args.price.should.be.equal(price);
+      purchase.args.whitelistId.should.be.equal(ethers.constants.MaxUint256);
+
+      // The sale status reports the public sale and its next price drop.
+      let status = await shop.saleStatus(bob.address);
+      status.phase.should.be.equal(2);
+      status.activeWhitelists.should.deep.equal([ ]);
+      status.nextPriceTime.should.be.equal(
+        PUBLIC_START_TIME + (ticks + 1) * TICK_DURATION
+      );
+      status.callerPublicRemaining.should.be.equal(CALLER_CAP - 2);
+      price = await shop.tokenPriceAt(PRESALE_TOKEN_ADDRESS,
+        PUBLIC_START_TIME + TICK_DURATION * 1000);
+      price.should.be.equal(TOKEN_ENDING_PRICE);
+
+      // Only accepted tokens may be used, and without Ether.
+      await expect(
+        shop.connect(bob.signer).mint(1, nullProof, tiny721.address)
+      ).to.be.revertedWith('CannotPayWithUnacceptedToken()');
+      await expect(
+        shop.connect(bob.signer).mint(1, nullProof, PRESALE_TOKEN_ADDRESS, {
+          value: 1
+        })
+      ).to.be.revertedWith('CannotTransferIncorrectAmount()');
+    });
+
+    // The owner should be able to pause purchases.
+    it('blocks purchases while paused', async function () {
+      const nullProof = { id: 0, index: 0, allowance: 0, proof: [ ] };
+      await expect(
+        shop.connect(bob.signer).setPaused(true)
+      ).to.be.revertedWith('Ownable: caller is not the owner');
+      await expect(
+        shop.connect(alice.signer).setPaused(true)
+      ).to.emit(shop, 'PauseSet');
+      await expect(
+        shop.connect(bob.signer).mint(1, nullProof,
+          ethers.constants.AddressZero, {
+            value: ethers.utils.parseEther('2')
+          })
+      ).to.be.revertedWith('CannotBuyFromPausedSale()');
+
+      // Purchases resume once the shop is unpaused.
+      await shop.connect(alice.signer).setPaused(false);
+      await shop.connect(bob.signer).mint(1, nullProof,
+        ethers.constants.AddressZero, {
+          value: ethers.utils.parseEther('2')
+        });
+      let bobBalance = await tiny721.balanceOf(bob.address);
+      bobBalance.should.be.equal(1);
+    });
+
+    // Buyers of a cancelled sale should be able to reclaim their payments.
+    it('refunds buyers of a cancelled sale', async function () {
+      const nullProof = { id: 0, index: 0, allowance: 0, proof: [ ] };
+      let receipt = await (await shop.connect(carol.signer).mint(2, nullProof,
+        ethers.constants.AddressZero, {
+          value: ethers.utils.parseEther('4')
+        })).wait();
+      let block = await ethers.provider.getBlock(receipt.blockNumber);
+      let paid = (await shop.priceAt(block.timestamp)).mul(2);
+      await token.connect(bob.signer).approve(shop.address,
+        ethers.constants.MaxUint256);
+      await shop.connect(bob.signer).mint(1, nullProof, PRESALE_TOKEN_ADDRESS);
+      let tokenPaid = await token.balanceOf(shop.address);
+      await expect(
+        shop.connect(carol.signer).refund(ethers.constants.AddressZero, [ 1 ])
+      ).to.be.revertedWith('CannotRefundUncancelledSale()');
+
+      // Payments may not be swept while the sale may yet be cancelled.
+      await expect(
+        shop.connect(alice.signer).sweep(PRESALE_TOKEN_ADDRESS, alice.address,
+          tokenPaid)
+      ).to.be.revertedWith('CannotSweepOwedRefunds()');
+
+      // Once cancelled, the sale sells nothing and owed funds stay put.
+      await expect(
+        shop.connect(alice.signer).cancel()
+      ).to.emit(shop, 'SaleCancelled');
+      await expect(
+        shop.connect(alice.signer).cancel()
+      ).to.be.revertedWith('CannotCancelCancelledSale()');
+      await expect(
+        shop.connect(bob.signer).mint(1, nullProof, PRESALE_TOKEN_ADDRESS)
+      ).to.be.revertedWith('CannotBuyFromCancelledSale()');
+      await expect(
+        shop.connect(alice.signer).sweep(ethers.constants.AddressZero,
+          alice.address, 1)
+      ).to.be.revertedWith('CannotSweepOwedRefunds()');
+      let reserved = await shop.reservedRefunds(ethers.constants.AddressZero);
+      reserved.should.be.equal(paid);
+
+      // Carol returns one item for half of her payment.
+      await tiny721.connect(carol.signer).setApprovalForAll(shop.address, true);
+      await expect(
+        shop.connect(carol.signer).refund(ethers.constants.AddressZero, [ 1 ])
+      ).to.emit(shop, 'Refunded');
+      let owner = await tiny721.ownerOf(1);
+      owner.should.be.equal(alice.address);
+      let payment = await shop.payments(ethers.constants.AddressZero,
+        carol.address);
+      payment.should.be.equal(paid.div(2));
+      await expect(
+        shop.connect(carol.signer).refund(ethers.constants.AddressZero,
+          [ 2, 3 ])
+      ).to.be.revertedWith('CannotRefundUnpurchasedItems()');
+
+      // Only items that Carol bought with Ether may be returned, and only once.
+      await shop.connect(alice.signer).airdrop([ carol.address ], [ 1 ]);
+      await expect(
+        shop.connect(carol.signer).refund(ethers.constants.AddressZero, [ 4 ])
+      ).to.be.revertedWith('CannotRefundUnpurchasedItems()');
+      await tiny721.connect(alice.signer).transferFrom(alice.address,
+        carol.address, 1);
+      await expect(
+        shop.connect(carol.signer).refund(ethers.constants.AddressZero, [ 1 ])
+      ).to.be.revertedWith('CannotRefundUnpurchasedItems()');
+      await tiny721.connect(bob.signer).transferFrom(bob.address,
+        carol.address, 3);
+      await expect(
+        shop.connect(carol.signer).refund(ethers.constants.AddressZero, [ 3 ])
+      ).to.be.revertedWith('CannotRefundUnpurchasedItems()');
+      await tiny721.connect(carol.signer).transferFrom(carol.address,
+        bob.address, 3);
+
+      // Bob returns his item for his token payment.
+      await tiny721.connect(bob.signer).setApprovalForAll(shop.address, true);
+      let bobTokens = await token.balanceOf(bob.address);
+      await shop.connect(bob.signer).refund(PRESALE_TOKEN_ADDRESS, [ 3 ]);
+      let newBobTokens = await token.balanceOf(bob.address);
+      newBobTokens.should.be.equal(bobTokens.add(tokenPaid));
+      let bobBalance = await tiny721.balanceOf(bob.address);
+      bobBalance.should.be.equal(0);
+    });
+
+    // Perform tests on a public sale that splits its proceeds between payees.
+    context('with split proceeds', async function () {
+      let splitShop, configuration;
+      const nullProof = { id: 0, index: 0, allowance: 0, proof: [ ] };
+      beforeEach(async function () {
+        configuration = {
+          startTime: PUBLIC_START_TIME,
+          endTime: PUBLIC_END_TIME,
+          totalCap: 2,
+          callerCap: CALLER_CAP,
+          transactionCap: TRANSACTION_CAP,
+          startingPrice: STARTING_PRICE,
+          endingPrice: ENDING_PRICE,
+          curve: 0,
+          tickDuration: TICK_DURATION,
+          tickAmount: TICK_AMOUNT,
+          priceSteps: [ ],
+          rebates: false,
+          paymentTokens: [
+            {
+              token: PRESALE_TOKEN_ADDRESS,
+              startingPrice: TOKEN_STARTING_PRICE,
+              endingPrice: TOKEN_ENDING_PRICE,
+              tickAmount: TOKEN_TICK_AMOUNT,
+              priceSteps: [ ]
+            }
+          ],
+          payees: [
+            { account: alice.address, share: 7000 },
+            { account: dev.address, share: 3000 }
+          ],
+          signer: ethers.constants.AddressZero,
+          reserveCap: 0
+        };
+        splitShop = await DropAuctionShop721.connect(alice.signer).deploy(
+          ITEM_COLLECTION_ADDRESS,
+          configuration,
+          [ ]
+        );
+        await splitShop.deployed();
+        await tiny721.connect(alice.signer).setAdmin(splitShop.address, true);
+      });
+
+      // Payees should be able to release their shares of every asset.
+      it('lets payees release their shares', async function () {
+        let price = await splitShop.currentPrice();
+        await splitShop.connect(carol.signer).mint(1, nullProof,
+          ethers.constants.AddressZero, {
+            value: price.mul(2)
+          });
+
+        // Nothing may be released until the sale settles.
+        await expect(
+          splitShop.connect(dev.signer).release(ethers.constants.AddressZero)
+        ).to.be.revertedWith('CannotReleaseZeroPayment()');
+
+        // Bob buys the final item, settling the sale.
+        await token.connect(bob.signer).approve(splitShop.address,
+          ethers.constants.MaxUint256);
+        await splitShop.connect(bob.signer).mint(1, nullProof,
+          PRESALE_TOKEN_ADDRESS);
+        let tokenPaid = await token.balanceOf(splitShop.address);
+        await expect(
+          splitShop.connect(alice.signer).cancel()
+        ).to.be.revertedWith('CannotCancelSettledSale()');
+
+        // Each payee may release their share of the Ether proceeds.
+        let devReleasable = await splitShop.releasable(
+          ethers.constants.AddressZero,
+          dev.address
+        );
+        devReleasable.should.be.equal(price.mul(3000).div(10000));
+        let devBalance = await ethers.provider.getBalance(dev.address);
+        let receipt = await (await splitShop.connect(dev.signer).release(
+          ethers.constants.AddressZero
+        )).wait();
+        let gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+        let newDevBalance = await ethers.provider.getBalance(dev.address);
+        newDevBalance.should.be.equal(devBalance.add(devReleasable).sub(gas));
+        await expect(
+          splitShop.connect(dev.signer).release(ethers.constants.AddressZero)
+        ).to.be.revertedWith('CannotReleaseZeroPayment()');
+
+        // Tokens sent to the shop outside of a sale are not proceeds.
+        await token.connect(bob.signer).transfer(splitShop.address,
+          TOKEN_STARTING_PRICE);
+
+        // Releases by one payee do not change the share of another.
+        let aliceReleasable = await splitShop.releasable(
+          ethers.constants.AddressZero,
+          alice.address
+        );
+        aliceReleasable.should.be.equal(price.mul(7000).div(10000));
+        await expect(
+          splitShop.connect(alice.signer).release(PRESALE_TOKEN_ADDRESS)
+        ).to.emit(splitShop, 'PaymentReleased');
+        let aliceReleased = await splitShop.released(PRESALE_TOKEN_ADDRESS,
+          alice.address);
+        aliceReleased.should.be.equal(tokenPaid.mul(7000).div(10000));
+
+        // Non-payees have nothing to release, and proceeds may not be swept.
+        await expect(
+          splitShop.connect(carol.signer).release(ethers.constants.AddressZero)
+        ).to.be.revertedWith('CannotReleaseZeroPayment()');
+        await expect(
+          splitShop.connect(alice.signer).sweep(ethers.constants.AddressZero,
+            alice.address, 1)
+        ).to.be.revertedWith('CannotSweepSplitProceeds()');
+
+        // The owner may sweep the tokens sent by mistake, but no proceeds.
+        await expect(
+          splitShop.connect(alice.signer).sweep(PRESALE_TOKEN_ADDRESS,
+            carol.address, TOKEN_STARTING_PRICE.add(1))
+        ).to.be.revertedWith('CannotSweepSplitProceeds()');
+        let carolTokens = await token.balanceOf(carol.address);
+        await splitShop.connect(alice.signer).sweep(PRESALE_TOKEN_ADDRESS,
+          carol.address, TOKEN_STARTING_PRICE);
+        let newCarolTokens = await token.balanceOf(carol.address);
+        newCarolTokens.should.be.equal(carolTokens.add(TOKEN_STARTING_PRICE));
+
+        // The remaining payee may still release their share of the tokens.
+        await splitShop.connect(dev.signer).release(PRESALE_TOKEN_ADDRESS);
+        let shopTokens = await token.balanceOf(splitShop.address);
+        shopTokens.should.be.equal(0);
+      });
+
+      // Proceeds should be held until the sale settles.
+      it('holds proceeds until the sale settles', async function () {
+        let price = await splitShop.currentPrice();
+        await splitShop.connect(carol.signer).mint(1, nullProof,
+          ethers.constants.AddressZero, {
+            value: price
+          });
+        let settled = await splitShop.settled();
+        settled.should.be.equal(false);
+        let aliceReleasable = await splitShop.releasable(
+          ethers.constants.AddressZero,
+          alice.address
+        );
+        aliceReleasable.should.be.equal(0);
+        await expect(
+          splitShop.connect(alice.signer).release(ethers.constants.AddressZero)
+        ).to.be.revertedWith('CannotReleaseZeroPayment()');
+
+        // Once the final item sells, the sale settles and proceeds release.
+        price = await splitShop.currentPrice();
+        await splitShop.connect(carol.signer).mint(1, nullProof,
+          ethers.constants.AddressZero, {
+            value: price
+          });
+        settled = await splitShop.settled();
+        settled.should.be.equal(true);
+        let proceeds = await splitShop.totalPayments(
+          ethers.constants.AddressZero
+        );
+        aliceReleasable = await splitShop.releasable(
+          ethers.constants.AddressZero,
+          alice.address
+        );
+        aliceReleasable.should.be.equal(proceeds.mul(7000).div(10000));
+        await expect(
+          splitShop.connect(alice.signer).release(ethers.constants.AddressZero)
+        ).to.emit(splitShop, 'PaymentReleased');
+      });
+
+      // Refunds of a cancelled sale should not be released to payees.
+      it('keeps refunds from payees of a cancelled sale', async function () {
+        let price = await splitShop.currentPrice();
+        await splitShop.connect(carol.signer).mint(1, nullProof,
+          ethers.constants.AddressZero, {
+            value: price
+          });
+        await expect(
+          splitShop.connect(dev.signer).release(ethers.constants.AddressZero)
+        ).to.be.revertedWith('CannotReleaseZeroPayment()');
+
+        // Once cancelled, neither payee may release the refund reserve.
+        await splitShop.connect(alice.signer).cancel();
+        for (let payee of [ alice, dev ]) {
+          let payment = await splitShop.releasable(
+            ethers.constants.AddressZero,
+            payee.address
+          );
+          payment.should.be.equal(0);
+          await expect(
+            splitShop.connect(payee.signer).release(
+              ethers.constants.AddressZero
+            )
+          ).to.be.revertedWith('CannotReleaseZeroPayment()');
+        }
+        let reserved = await splitShop.reservedRefunds(
+          ethers.constants.AddressZero
+        );
+        reserved.should.be.equal(price);
+        let shopBalance = await ethers.provider.getBalance(splitShop.address);
+        shopBalance.should.be.equal(price);
+
+        // Carol reclaims her whole payment.
+        let id = await tiny721.totalMinted();
+        await tiny721.connect(carol.signer).setApprovalForAll(
+          splitShop.address,
+          true
+        );
+        await splitShop.connect(carol.signer).refund(
+          ethers.constants.AddressZero,
+          [ id ]
+        );
+        shopBalance = await ethers.provider.getBalance(splitShop.address);
+        shopBalance.should.be.equal(0);
+      });
+
+      // Payee shares must total the whole of the proceeds.
+      it('rejects invalid payee shares', async function () {
+        await expect(
+          DropAuctionShop721.deploy(ITEM_COLLECTION_ADDRESS, {
+            ...configuration,
+            payees: [ { account: alice.address, share: 9000 } ]
+          }, [ ])
+        ).to.be.revertedWith('CannotSplitIntoInvalidShares()');
+        await expect(
+          DropAuctionShop721.deploy(ITEM_COLLECTION_ADDRESS, {
+            ...configuration,
+            payees: [
+              { account: alice.address, share: 5000 },
+              { account: alice.address, share: 5000 }
+            ]
+          }, [ ])
+        ).to.be.revertedWith('CannotSplitToDuplicatePayee()');
+      });
+    });
+
+    // Perform tests on a public sale that settles with rebates.
+    context('with rebates', async function () {
+      let rebateShop;
+      const nullProof = { id: 0, index: 0, allowance: 0, proof: [ ] };
+      beforeEach(async function () {
+        rebateShop = await DropAuctionShop721.connect(alice.signer).deploy(
+          ITEM_COLLECTION_ADDRESS,
+          {
+            startTime: PUBLIC_START_TIME,
+            endTime: PUBLIC_END_TIME,
+            totalCap: 3,
+            callerCap: CALLER_CAP,
+            transactionCap: TRANSACTION_CAP,
+            startingPrice: STARTING_PRICE,
+            endingPrice: ENDING_PRICE,
+            curve: 0,
+            tickDuration: TICK_DURATION,
+            tickAmount: TICK_AMOUNT,
+            priceSteps: [ ],
+            rebates: true,
+            paymentTokens: [
+              {
+                token: PRESALE_TOKEN_ADDRESS,
+                startingPrice: TOKEN_STARTING_PRICE,
+                endingPrice: TOKEN_ENDING_PRICE,
+                tickAmount: TOKEN_TICK_AMOUNT,
+                priceSteps: [ ]
+              }
+            ],
+            payees: [ ],
+            signer: ethers.constants.AddressZero,
+            reserveCap: 0
+          },
+          [ ]
+        );
+        await rebateShop.deployed();
+        await tiny721.connect(alice.signer).setAdmin(rebateShop.address, true);
+      });
+
+      // Buyers should be rebated down to the clearing price.
+      it('rebates buyers once the sale sells out', async function () {
+        let block = await ethers.provider.getBlock('latest');
+        let startPrice = await rebateShop.currentPrice();
+        await rebateShop.connect(bob.signer).mint(2, nullProof,
+          ethers.constants.AddressZero, {
+            value: startPrice.mul(2)
+          });
+
+        // Rebates may not be claimed before settlement.
+        await expect(
+          rebateShop.connect(bob.signer).claimRebate(
+            ethers.constants.AddressZero
+          )
+        ).to.be.revertedWith('CannotClaimRebateBeforeSettlement()');
+        let reserved = await rebateShop.reservedRebates(
+          ethers.constants.AddressZero
+        );
+        reserved.should.be.equal(startPrice.sub(ENDING_PRICE).mul(2));
+        await expect(
+          rebateShop.connect(alice.signer).sweep(ethers.constants.AddressZero,
+            alice.address, startPrice.mul(2))
+        ).to.be.revertedWith('CannotSweepOwedRebates()');
+
+        // Carol buys the final item after the price has dropped.
+        await ethers.provider.send('evm_setNextBlockTimestamp', [
+          block.timestamp + TICK_DURATION * 3
+        ]);
+        await rebateShop.connect(carol.signer).mint(1, nullProof,
+          ethers.constants.AddressZero, {
+            value: startPrice
+          });
+        let clearingPrice = startPrice.sub(TICK_AMOUNT.mul(3));
+        let lastPrice = await rebateShop.clearingPrice(
+          ethers.constants.AddressZero
+        );
+        lastPrice.should.be.equal(clearingPrice);
+        let settled = await rebateShop.settled();
+        settled.should.be.equal(true);
+
+        // Bob claims his rebate; Carol paid the clearing price.
+        let rebate = await rebateShop.rebateOf(ethers.constants.AddressZero,
+          bob.address);
+        rebate.should.be.equal(TICK_AMOUNT.mul(6));
+        await expect(
+          rebateShop.connect(bob.signer).claimRebate(
+            ethers.constants.AddressZero
+          )
+        ).to.emit(rebateShop, 'RebateClaimed');
+        await expect(
+          rebateShop.connect(bob.signer).claimRebate(
+            ethers.constants.AddressZero
+          )
+        ).to.be.revertedWith('CannotClaimZeroRebate()');
+        await expect(
+          rebateShop.connect(carol.signer).claimRebate(
+            ethers.constants.AddressZero
+          )
+        ).to.be.revertedWith('CannotClaimZeroRebate()');
+
+        // The owner may sweep all proceeds owed to no buyer.
+        let proceeds = await ethers.provider.getBalance(rebateShop.address);
+        proceeds.should.be.equal(clearingPrice.mul(3));
+        await rebateShop.connect(alice.signer).sweep(
+          ethers.constants.AddressZero,
+          alice.address,
+          proceeds
+        );
+      });
+
+      // Token buyers should be rebated in the token they paid with.
+      it('rebates token buyers in their token', async function () {
+        let block = await ethers.provider.getBlock('latest');
+        let startPrice = await rebateShop.currentPrice();
+        let tokenStartPrice = await rebateShop.currentTokenPrice(
+          PRESALE_TOKEN_ADDRESS
+        );
+        await token.connect(bob.signer).approve(rebateShop.address,
+          ethers.constants.MaxUint256);
+        await rebateShop.connect(bob.signer).mint(2, nullProof,
+          PRESALE_TOKEN_ADDRESS);
+        let reserved = await rebateShop.reservedRebates(PRESALE_TOKEN_ADDRESS);
+        reserved.should.be.equal(
+          tokenStartPrice.sub(TOKEN_ENDING_PRICE).mul(2)
+        );
+        await expect(
+          rebateShop.connect(alice.signer).sweep(PRESALE_TOKEN_ADDRESS,
+            alice.address, tokenStartPrice.mul(2))
+        ).to.be.revertedWith('CannotSweepOwedRebates()');
+
+        // Carol buys the final item with Ether after the price has dropped.
+        await ethers.provider.send('evm_setNextBlockTimestamp', [
+          block.timestamp + TICK_DURATION * 3
+        ]);
+        await rebateShop.connect(carol.signer).mint(1, nullProof,
+          ethers.constants.AddressZero, {
+            value: startPrice
+          });
+        let clearingPrice = tokenStartPrice.sub(TOKEN_TICK_AMOUNT.mul(3));
+        let tokenClearingPrice = await rebateShop.clearingPrice(
+          PRESALE_TOKEN_ADDRESS
+        );
+        tokenClearingPrice.should.be.equal(clearingPrice);
+
+        // Bob claims his rebate in the token.
+        let rebate = await rebateShop.rebateOf(PRESALE_TOKEN_ADDRESS,
+          bob.address);
+        rebate.should.be.equal(TOKEN_TICK_AMOUNT.mul(6));
+        let bobTokens = await token.balanceOf(bob.address);
+        await expect(
+          rebateShop.connect(bob.signer).claimRebate(PRESALE_TOKEN_ADDRESS)
+        ).to.emit(rebateShop, 'RebateClaimed');
+        let newBobTokens = await token.balanceOf(bob.address);
+        newBobTokens.should.be.equal(bobTokens.add(rebate));
+        let carolRebate = await rebateShop.rebateOf(
+          ethers.constants.AddressZero,
+          carol.address
+        );
+        carolRebate.should.be.equal(0);
+
+        // The owner may sweep the token proceeds owed to no buyer.
+        let proceeds = await token.balanceOf(rebateShop.address);
+        proceeds.should.be.equal(clearingPrice.mul(2));
+        await rebateShop.connect(alice.signer).sweep(PRESALE_TOKEN_ADDRESS,
+          alice.address, proceeds);
+      });
+    });
   });
 });
@@ -0,0 +1,369 @@
+'use strict';
+
+// Imports.
+import { ethers } from 'ethers';
+import 'chai/register-should';
+import HashTree from '../scripts/HashTree.js';
+
+/**
+  Describe the hash tree testing suite. The expected roots and proofs of these
+  test vectors were produced independently: index-ordered vectors by the
+  original `HashTree` implementation that `DropAuctionShop721` verifies, and
+  sorted vectors by OpenZeppelin's `@openzeppelin/merkle-tree` package.
+*/
+describe('HashTree', function () {
+  const BALANCES = {
+    '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266': 1,
+    '0x70997970C51812dc3A010C7d01b50e0d17dc79C8': 2,
+    '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC': 3
+  };
+
+  // Verify a sorted-mode proof the way OpenZeppelin's `MerkleProof` does.
+  function verifySorted (_proof, _root, _leaf) {
+    let node = _leaf;
+    for (let sibling of _proof) {
+      node = HashTree.hashSortedPair(node, sibling);
+    }
+    return node === _root;
+  }
+
+  // Check the index-ordered scheme used by the original shop verifier.
+  context('in indexed mode', async function () {
+    it('matches the index-ordered test vectors', async function () {
+      let tree = new HashTree(BALANCES);
+      tree.rootHash.should.be.equal(
+        '0xafbc35e350ed388828b659436f00fb939ae9469fd1da07dfe5aa60a197280a5e'
+      );
+      let index = tree.getIndex('0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC');
+      index.should.be.equal(0);
+      tree.getProof(index).should.deep.equal([
+        '0x3796c55f6e204eaef42ede9754a07297dc04d65475c1bc945f802d7ce09c5ff2',
+        '0x6140cd180177e25afd50f5aecb6471d198ed6426b615a8bc4d425d19cd64a6dd'
+      ]);
+
+      // The lone final leaf is hashed with itself.
+      index = tree.getIndex('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+      index.should.be.equal(2);
+      tree.getProof(index).should.deep.equal([
+        '0x055b9c8a8c494451888edc05fe50195f906bdb5d48db863ebce822feb54b19ca',
+        '0x117b138ff59a6520212be71e83211f83289b1783764376ae028a552a8f35a70a'
+      ]);
+      let exported = tree.getTree();
+      exported.should.not.have.property('sorted');
+      exported.leaves[2].proof.should.deep.equal(tree.getProof(2));
+    });
+
+    it('matches the original output for an even number of leaves',
+      async function () {
+      let tree = new HashTree({
+        ...BALANCES,
+        '0x90F79bf6EB2c4f870365E785982E1f101E93b906': 4
+      });
+      tree.rootHash.should.be.equal(
+        '0xef692f0e3fe744a432caa8a9531193de666dd359d358848f7981171eeffcbebb'
+      );
+      tree.getProof(1).should.deep.equal([
+        '0x35945224e91db2fed7ad0a2d4c368c94f714938d5832c1dfdb663e1f63c4c8e3',
+        '0x3d1760222debfbc076ac320d97d3d3c7d8e68b155951f7a3d8e289b9fe469f11'
+      ]);
+      tree.getProof(2).should.deep.equal([
+        '0x3be58caa2275d90c7bf6e491f33dcebd4a42cce0402b5a634bfeb342a8ca0a6a',
+        '0x117b138ff59a6520212be71e83211f83289b1783764376ae028a552a8f35a70a'
+      ]);
+    });
+
+    it('matches the original output for an odd number of leaves',
+      async function () {
+      let tree = new HashTree({
+        ...BALANCES,
+        '0x90F79bf6EB2c4f870365E785982E1f101E93b906': 4,
+        '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65': 5
+      });
+      tree.rootHash.should.be.equal(
+        '0xca143ff57f12aba5d76e12203a8adb2837e48ed40b4eb1fafb1699b914ece6c3'
+      );
+      tree.getProof(0).should.deep.equal([
+        '0x75e805f92cca37b19af1061fdc8fc4d91a70f33fcbadbe1ffce580fe5a6302fe',
+        '0x1ba77fd07f35cfcc222ac5dec4d8218a963022c88bf63de91c4a3754b9da78ab',
+        '0x097bef10a2cd5621cedc44866d28c86d8721cc71c00b951638986e27da04f7ed'
+      ]);
+
+      // The lone final leaf is hashed with itself at every odd layer.
+      tree.getProof(4).should.deep.equal([
+        '0xebc011eaf32fd167dfb1ac43c142330609207498307dbd2acc58f931e4bee6c9',
+        '0x86845156e24c836c79f256320829fcb468bc7ea2ab6e651e9061ea8320b96d83',
+        '0x393aa6881125c485c30df674080e34e1f13a96f732deb5bbbcfa0d0959264cd8'
+      ]);
+    });
+
+    it('matches the original output for a single leaf', async function () {
+      let tree = new HashTree({
+        '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266': 1
+      });
+      tree.rootHash.should.be.equal(
+        '0xee657491fcf0b2290f1b231e22a7e2b2a72186f611b99ec06caf58cbaad57b90'
+      );
+      tree.getProof(0).should.deep.equal([]);
+    });
+
+    it('looks up leaves by address regardless of case', async function () {
+      let tree = new HashTree(BALANCES);
+      let lowercase = Object.fromEntries(Object.entries(BALANCES).map(
+        ([ address, allowance ]) => [ address.toLowerCase(), allowance ]
+      ));
+      tree.rootHash.should.be.equal(new HashTree(lowercase).rootHash);
+
+      // Indices follow the order of the lowercase addresses.
+      let address = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+      tree.getIndex(address).should.be.equal(1);
+      tree.getIndex(address.toLowerCase()).should.be.equal(1);
+      tree.getIndex('0x70997970c51812DC3A010C7D01B50E0D17DC79C8')
+        .should.be.equal(1);
+      tree.getAddress(1).should.be.equal(address.toLowerCase());
+      tree.getAllowance(1).should.be.equal(2);
+      tree.getAllowance(2).should.be.equal(1);
+      (() => tree.getIndex('0x90F79bf6EB2c4f870365E785982E1f101E93b906'))
+        .should.throw('The HashTree does not include that address.');
+    });
+  });
+
+  // Check the sorted scheme compatible with OpenZeppelin's `MerkleProof`.
+  context('in sorted mode', async function () {
+    it('matches the OpenZeppelin test vectors', async function () {
+      let tree = new HashTree(BALANCES, { sorted: true });
+      tree.rootHash.should.be.equal(
+        '0xcd3ee3577d233000c074fb4b55e4a12b98e9352e463f7ddaa7c097f5f9b37d92'
+      );
+      let address = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+      tree.getProof(tree.getIndex(address)).should.deep.equal([
+        '0x418b8260135dc95e801fbf75c0f9c0ba3a2ca240486494f1c953920249db2c2a',
+        '0xda9aff1dff9e4656c62d4dd4c49aa9fc4adf82e565847c2489edd046a13ec10f'
+      ]);
+      address = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+      tree.getProof(tree.getIndex(address)).should.deep.equal([
+        '0xc215cdb94801c22e9054ce41985a8e7beee905e4f34a8e4deab2b3427cfe060e'
+      ]);
+
+      // Every exported proof verifies against the root.
+      let exported = tree.getTree();
+      exported.sorted.should.be.equal(true);
+      for (let leaf of exported.leaves) {
+        let hash = HashTree.getSortedLeafHash(leaf.address, leaf.allowance);
+        verifySorted(leaf.proof, exported.rootHash, hash).should.be.equal(true);
+      }
+    });
+
+    it('matches the OpenZeppelin test vectors for token IDs', async function () {
+      let tree = new HashTree({ '1': 2, '2': 5, '3': 1 }, {
+        keyType: 'uint256',
+        sorted: true
+      });
+      tree.rootHash.should.be.equal(
+        '0x9fdc4e2e7bb0158d3c0b176614b3140af01d8a823800bd9db0c5353006af82cd'
+      );
+      tree.getProof(tree.getIndex('2')).should.deep.equal([
+        '0x3b703dcb7ae59ee31061d2ef687245f2e75e75fdfc0db21f4389e7e1ce65489f'
+      ]);
+    });
+
+    it('uses the leaf hash as the root of a single leaf', async function () {
+      let address = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+      let tree = new HashTree({ [address]: 1 }, { sorted: true });
+      tree.rootHash.should.be.equal(
+        '0x8b2a4240244fa16f1700a049d06193952b863cf8f9f7995b98c5087db703ca9f'
+      );
+      tree.rootHash.should.be.equal(HashTree.getSortedLeafHash(address, 1));
+      tree.getProof(0).should.deep.equal([]);
+    });
+
+    it('hashes sibling pairs independently of order', async function () {
+      let a = ethers.utils.keccak256('0x01');
+      let b = ethers.utils.keccak256('0x02');
+      HashTree.hashSortedPair(a, b).should.be.equal(
+        HashTree.hashSortedPair(b, a)
+      );
+    });
+  });
+
+  // Check off-chain proof verification and tree inspection.
+  context('when verifying proofs', async function () {
+    it('verifies proofs as the shop does', async function () {
+      for (let sorted of [ false, true ]) {
+        let tree = new HashTree(BALANCES, { sorted });
+        let address = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+        let index = tree.getIndex(address);
+        let proof = tree.getProof(index);
+        HashTree.verifyProof(tree.rootHash, index, address, 2, proof, {
+          sorted
+        }).should.be.equal(true);
+
+        // Proofs do not verify with the wrong allowance, root, or mode.
+        HashTree.verifyProof(tree.rootHash, index, address, 3, proof, {
+          sorted
+        }).should.be.equal(false);
+        HashTree.verifyProof(ethers.constants.HashZero, index, address, 2,
+          proof, { sorted }).should.be.equal(false);
+        HashTree.verifyProof(tree.rootHash, index, address, 2, proof, {
+          sorted: !sorted
+        }).should.be.equal(false);
+      }
+
+      // Index-ordered proofs do not verify at the wrong index.
+      let tree = new HashTree(BALANCES);
+      let address = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+      HashTree.verifyProof(tree.rootHash, 1, address, 1, tree.getProof(2))
+        .should.be.equal(false);
+    });
+
+    it('looks up callers', async function () {
+      let tree = new HashTree(BALANCES, { sorted: true });
+      let leaf = tree.lookup('0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC');
+      leaf.address.should.be.equal(
+        '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc'
+      );
+      leaf.allowance.should.be.equal(3);
+      leaf.proof.should.deep.equal(tree.getProof(leaf.index));
+      leaf.verified.should.be.equal(true);
+      let missing = tree.lookup('0x90F79bf6EB2c4f870365E785982E1f101E93b906');
+      (missing === null).should.be.equal(true);
+    });
+
+    it('verifies exported trees against a root', async function () {
+      let tree = new HashTree(BALANCES);
+      let sortedTree = new HashTree(BALANCES, { sorted: true });
+      let data = JSON.parse(JSON.stringify({
+        trees: [ tree.getTree(), sortedTree.getTree() ]
+      }));
+      let reports = HashTree.verifyTrees(data, tree.rootHash);
+      reports[0].valid.should.be.equal(true);
+      reports[0].count.should.be.equal(3);
+      reports[1].valid.should.be.equal(false);
+      reports[1].invalid.length.should.be.equal(3);
+
+      // A tampered allowance is reported.
+      data.trees[1].leaves[0].allowance = 10;
+      let report = HashTree.verifyTree(data.trees[1], sortedTree.rootHash);
+      report.matchesRoot.should.be.equal(true);
+      report.valid.should.be.equal(false);
+      report.invalid.map(leaf => leaf.index).should.deep.equal([ 0 ]);
+    });
+  });
+
+  // Check multiproofs covering several leaves of a sorted tree.
+  context('with multiproofs', async function () {
+    it('proves several leaves at once', async function () {
+      let tree = new HashTree(BALANCES, { sorted: true });
+      let multiProof = tree.getMultiProof([ 2, 0 ]);
+      multiProof.leaves.map(leaf => leaf.index).should.deep.equal([ 0, 2 ]);
+      multiProof.proof.length.should.be.lessThan(
+        tree.getProof(0).length + tree.getProof(2).length
+      );
+      HashTree.verifyMultiProof(
+        tree.rootHash,
+        multiProof.leaves,
+        multiProof.proof,
+        multiProof.proofFlags
+      ).should.be.equal(true);
+
+      // Multiproofs do not verify tampered leaves.
+      let tampered = multiProof.leaves.map(leaf => {
+        return { ...leaf, allowance: leaf.allowance + 1 };
+      });
+      HashTree.verifyMultiProof(
+        tree.rootHash,
+        tampered,
+        multiProof.proof,
+        multiProof.proofFlags
+      ).should.be.equal(false);
+    });
+
+    it('rejects invalid multiproof requests', async function () {
+      let tree = new HashTree(BALANCES, { sorted: true });
+      (() => tree.getMultiProof([ 1, 1 ])).should.throw(
+        'The multiproof leaf indices must be unique.'
+      );
+      (() => tree.getMultiProof([ 3 ])).should.throw(
+        'The HashTree does not include that leaf.'
+      );
+      (() => new HashTree(BALANCES).getMultiProof([ 0 ])).should.throw(
+        'Only sorted HashTrees support multiproofs.'
+      );
+    });
+
+    it('proves several whitelist memberships of a caller', async function () {
+      let [ alice, bob ] = Object.keys(BALANCES);
+      let key = HashTree.getWhitelistKey(bob, 1);
+      key.should.be.equal(ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode([ 'address', 'uint256' ],
+          [ bob, 1 ])
+      ));
+
+      // Bob proves both of his memberships with a single multiproof.
+      let tree = new HashTree({
+        [HashTree.getWhitelistKey(alice, 0)]: 1,
+        [HashTree.getWhitelistKey(bob, 0)]: 2,
+        [key]: 3
+      }, { keyType: 'bytes32', sorted: true });
+      let multiProof = tree.getMultiProof([
+        tree.getIndex(HashTree.getWhitelistKey(bob, 0)),
+        tree.getIndex(key)
+      ]);
+      multiProof.leaves.map(leaf => leaf.allowance)
+        .sort().should.deep.equal([ 2, 3 ]);
+      HashTree.verifyMultiProof(
+        tree.rootHash,
+        multiProof.leaves,
+        multiProof.proof,
+        multiProof.proofFlags,
+        'bytes32'
+      ).should.be.equal(true);
+    });
+  });
+
+  // Check the diffing of two versions of a whitelist.
+  context('when diffing trees', async function () {
+    it('reports changes and stale proofs', async function () {
+      let tree = new HashTree(BALANCES);
+
+      // Change one allowance, remove one address, and add another.
+      let updated = tree.update({
+        '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266': 5,
+        '0x70997970C51812dc3A010C7d01b50e0d17dc79C8': null,
+        '0x90F79bf6EB2c4f870365E785982E1f101E93b906': 1
+      });
+      tree.balances.should.have.property(
+        '0x70997970c51812dc3a010c7d01b50e0d17dc79c8'
+      );
+      let diff = HashTree.diff(tree, JSON.parse(
+        JSON.stringify(updated.getTree())
+      ));
+      diff.rootChanged.should.be.equal(true);
+      diff.oldRoot.should.be.equal(tree.rootHash);
+      diff.newRoot.should.be.equal(updated.rootHash);
+      diff.added.should.deep.equal([
+        '0x90f79bf6eb2c4f870365e785982e1f101e93b906'
+      ]);
+      diff.removed.should.deep.equal([
+        '0x70997970c51812dc3a010c7d01b50e0d17dc79c8'
+      ]);
+      diff.changed.should.deep.equal([{
+        address: '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266',
+        oldAllowance: 1,
+        newAllowance: 5
+      }]);
+      diff.valid.should.deep.equal([]);
+      diff.stale.should.have.members([
+        '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc',
+        '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266'
+      ]);
+    });
+
+    it('keeps proofs valid when the tree is unchanged', async function () {
+      let balances = { ...BALANCES };
+      let diff = HashTree.diff(BALANCES, balances, { sorted: true });
+      diff.rootChanged.should.be.equal(false);
+      diff.stale.should.deep.equal([]);
+      diff.valid.length.should.be.equal(3);
+    });
+  });
+});
@@ -0,0 +1,708 @@
+'use strict';
+
+// Imports.
+import { ethers } from 'hardhat';
+import { expect } from 'chai';
+import 'chai/register-should';
+import HashTree from '../scripts/HashTree.js';
+
+/**
+  Describe the contract testing suite, retrieve testing wallets, and create
+  contract factories from the artifacts we are testing.
+*/
+describe('Staker', function () {
+  let alice, bob, carol, dev;
+  let Tiny721, MockERC20, Staker;
+  before(async () => {
+    const signers = await ethers.getSigners();
+    const addresses = await Promise.all(signers.map(async signer => signer.getAddress()));
+    alice = { provider: signers[0].provider, signer: signers[0], address: addresses[0] };
+    bob = { provider: signers[1].provider, signer: signers[1], address: addresses[1] };
+    carol = { provider: signers[2].provider, signer: signers[2], address: addresses[2] };
+    dev = { provider: signers[3].provider, signer: signers[3], address: addresses[3] };
+
+    Tiny721 = await ethers.getContractFactory('Tiny721');
+    MockERC20 = await ethers.getContractFactory('MockERC20');
+    Staker = await ethers.getContractFactory('Staker');
+  });
+
+  // Deploy a fresh set of smart contracts, using these constants, for testing.
+  // These are the constants for the item contract.
+  const ITEM_NAME = 'Test';
+  const ITEM_SYMBOL = 'TEST';
+  const METADATA_URI = '';
+  const CAP = 10420;
+
+  // These are the constants for the mock ERC-20 token.
+  const TOKEN_NAME = 'Mock';
+  const TOKEN_SYMBOL = 'M20';
+  const SUPPLY = ethers.utils.parseEther('1000000000');
+
+  // These are the constants for the staker.
+  const STAKER_NAME = 'Test Staker';
+  const RESERVOIR = ethers.utils.parseEther('1000000');
+  const EMISSION_RATE = ethers.utils.parseEther('1');
+  let item, token, staker, emissionStart;
+  beforeEach(async () => {
+
+    // Deploy an instance of the Tiny721 ERC-721 item contract.
+    item = await Tiny721.connect(alice.signer).deploy(
+      ITEM_NAME,
+      ITEM_SYMBOL,
+      METADATA_URI,
+      CAP
+    );
+    await item.deployed();
+
+    // Deploy the testing ERC-20 token contract.
+    token = await MockERC20.connect(alice.signer).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      SUPPLY
+    );
+    await token.deployed();
+
+    // Deploy the staker and fill its reservoir with reward tokens.
+    staker = await Staker.connect(alice.signer).deploy(
+      STAKER_NAME,
+      token.address
+    );
+    await staker.deployed();
+    await token.connect(alice.signer).transfer(staker.address, RESERVOIR);
+
+    // The staker must be an admin of the item in order to lock transfers.
+    await item.connect(alice.signer).setAdmin(staker.address, true);
+
+    // Configure an emission schedule and a single pool.
+    let block = await ethers.provider.getBlock('latest');
+    emissionStart = block.timestamp + 60;
+    await staker.connect(alice.signer).setEmissions([
+      { timestamp: emissionStart, rate: EMISSION_RATE }
+    ]);
+    await staker.connect(alice.signer).setPool(0, 1, item.address, 0, 0);
+
+    // Mint some items to Bob and Carol.
+    await item.connect(alice.signer).mint_Qgo(bob.address, 3);
+    await item.connect(alice.signer).mint_Qgo(carol.address, 2);
+  });
+
+  // Perform tests on staking and unstaking items.
+  context('with staked items', async function () {
+    beforeEach(async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart
+      ]);
+      await staker.connect(bob.signer).deposit(0, [ 1, 2 ]);
+    });
+
+    // Depositing should lock items and record the staker.
+    it('locks and records deposited items', async function () {
+      let locked = await item.transferLocks(1);
+      locked.should.be.equal(true);
+      let position = await staker.positions(0, bob.address);
+      position.amount.should.be.equal(2);
+      let stakedItem = await staker.stakedItems(0, 2);
+      stakedItem.staker.should.be.equal(bob.address);
+      let stakedIds = await staker.getStakedIds(0, bob.address);
+      stakedIds.map(id => id.toNumber()).should.deep.equal([ 1, 2 ]);
+      await expect(
+        item.connect(bob.signer).transferFrom(bob.address, carol.address, 1)
+      ).to.be.revertedWith('TransferIsLocked()');
+    });
+
+    // Withdrawing should pay rewards and unlock items.
+    it('pays rewards and unlocks withdrawn items', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 100
+      ]);
+      await expect(
+        staker.connect(bob.signer).withdraw(0, [ 1 ])
+      ).to.emit(staker, 'Withdraw');
+
+      // Bob should have earned every token emitted while he was staked.
+      let bobBalance = await token.balanceOf(bob.address);
+      bobBalance.should.be.equal(EMISSION_RATE.mul(100));
+      let locked = await item.transferLocks(1);
+      locked.should.be.equal(false);
+      let position = await staker.positions(0, bob.address);
+      position.amount.should.be.equal(1);
+      let pool = await staker.pools(0);
+      pool.amount.should.be.equal(1);
+      let stakedIds = await staker.getStakedIds(0, bob.address);
+      stakedIds.map(id => id.toNumber()).should.deep.equal([ 2 ]);
+
+      // Bob may now transfer his unlocked item.
+      await item.connect(bob.signer).transferFrom(bob.address, carol.address, 1);
+    });
+
+    // Depositing again should pay rewards accrued by the existing position.
+    it('pays rewards when depositing into an existing position',
+      async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 50
+      ]);
+      await staker.connect(bob.signer).deposit(0, [ 3 ]);
+      let bobBalance = await token.balanceOf(bob.address);
+      bobBalance.should.be.equal(EMISSION_RATE.mul(50));
+      let position = await staker.positions(0, bob.address);
+      position.amount.should.be.equal(3);
+    });
+
+    // Callers may claim rewards without depositing or withdrawing.
+    it('allows claiming and reports pending rewards', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 10
+      ]);
+      await staker.connect(carol.signer).deposit(0, [ 4 ]);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 40
+      ]);
+      await ethers.provider.send('evm_mine');
+
+      /*
+        Bob earned every token for ten seconds and two-thirds of the tokens for
+        the following thirty seconds.
+      */
+      let bobPending = await staker.getPendingTokens(0, bob.address);
+      bobPending.should.be.equal(EMISSION_RATE.mul(30));
+      let carolPending = await staker.getTotalPendingTokens(carol.address);
+      carolPending.should.be.equal(EMISSION_RATE.mul(10));
+
+      // Bob claims his rewards.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 43
+      ]);
+      await expect(
+        staker.connect(bob.signer).claimAll()
+      ).to.emit(staker, 'Claim');
+      let bobBalance = await token.balanceOf(bob.address);
+      bobBalance.should.be.equal(EMISSION_RATE.mul(32));
+      bobPending = await staker.getPendingTokens(0, bob.address);
+      bobPending.should.be.equal(0);
+
+      // Carol claims her rewards.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 46
+      ]);
+      await staker.connect(carol.signer).claim(0);
+      let carolBalance = await token.balanceOf(carol.address);
+      carolBalance.should.be.equal(EMISSION_RATE.mul(12));
+    });
+
+    // Callers may not withdraw items that they did not stake.
+    it('rejects withdrawing unstaked items', async function () {
+      await expect(
+        staker.connect(carol.signer).withdraw(0, [ 1 ])
+      ).to.be.revertedWith('CannotWithdrawUnstakedToken()');
+      await expect(
+        staker.connect(bob.signer).withdraw(0, [ 3 ])
+      ).to.be.revertedWith('CannotWithdrawUnstakedToken()');
+      await expect(
+        staker.connect(bob.signer).withdraw(0, [ 1, 1 ])
+      ).to.be.revertedWith('CannotWithdrawUnstakedToken()');
+    });
+  });
+
+  // Perform tests on pools with minimum lock durations.
+  context('with locked pools', async function () {
+    const LOCK_DURATION = 1000;
+    beforeEach(async function () {
+      await staker.connect(alice.signer).setPool(0, 1, item.address,
+        LOCK_DURATION, 0);
+      await staker.connect(alice.signer).setPool(1, 1, item.address,
+        LOCK_DURATION, 5000);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart
+      ]);
+      await staker.connect(bob.signer).deposit(0, [ 1 ]);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 1
+      ]);
+      await staker.connect(bob.signer).deposit(1, [ 2, 3 ]);
+    });
+
+    // Items in a pool without a penalty may not be withdrawn early.
+    it('rejects early withdrawals without a penalty', async function () {
+      let unlockTime = await staker.getUnlockTime(0, 1);
+      unlockTime.should.be.equal(emissionStart + LOCK_DURATION);
+      await expect(
+        staker.connect(bob.signer).withdraw(0, [ 1 ])
+      ).to.be.revertedWith('CannotWithdrawLockedToken()');
+
+      // Rewards are held until the item unlocks.
+      await staker.connect(bob.signer).claim(0);
+      let bobBalance = await token.balanceOf(bob.address);
+      bobBalance.should.be.equal(0);
+
+      // Bob may withdraw with his rewards once the item unlocks.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + LOCK_DURATION
+      ]);
+      await staker.connect(bob.signer).withdraw(0, [ 1 ]);
+      bobBalance = await token.balanceOf(bob.address);
+      bobBalance.should.be.equal(EMISSION_RATE.mul(LOCK_DURATION / 2));
+    });
+
+    // Items in a pool with a penalty forfeit rewards when withdrawn early.
+    it('forfeits rewards on early withdrawal', async function () {
+      await staker.connect(alice.signer).setTreasury(dev.address);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 201
+      ]);
+      await expect(
+        staker.connect(bob.signer).withdraw(1, [ 2 ])
+      ).to.emit(staker, 'Forfeit');
+
+      /*
+        Bob accrued 100 tokens in the second pool and forfeited half of the
+        rewards attributable to the one of his two items withdrawn early.
+      */
+      let devBalance = await token.balanceOf(dev.address);
+      devBalance.should.be.equal(EMISSION_RATE.mul(25));
+      let bobPending = await staker.getPendingTokens(1, bob.address);
+      bobPending.should.be.equal(EMISSION_RATE.mul(75));
+      let bobBalance = await token.balanceOf(bob.address);
+      bobBalance.should.be.equal(0);
+    });
+
+    // Forfeited rewards are redistributed only to the other stakers.
+    it('redistributes forfeited rewards to other stakers', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 101
+      ]);
+      await staker.connect(carol.signer).deposit(1, [ 4 ]);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 161
+      ]);
+      await staker.connect(bob.signer).withdraw(1, [ 2 ]);
+
+      /*
+        Bob accrued 50 tokens alone and 20 tokens alongside Carol, who accrued
+        10 tokens. Bob forfeits 17.5 tokens, all of which go to Carol rather
+        than being shared with Bob's remaining item.
+      */
+      let bobPending = await staker.getPendingTokens(1, bob.address);
+      bobPending.should.be.equal(ethers.utils.parseEther('52.5'));
+      let carolPending = await staker.getPendingTokens(1, carol.address);
+      carolPending.should.be.equal(ethers.utils.parseEther('27.5'));
+
+      // Later rewards are again shared evenly.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 181
+      ]);
+      await ethers.provider.send('evm_mine');
+      bobPending = await staker.getPendingTokens(1, bob.address);
+      bobPending.should.be.equal(ethers.utils.parseEther('57.5'));
+      carolPending = await staker.getPendingTokens(1, carol.address);
+      carolPending.should.be.equal(ethers.utils.parseEther('32.5'));
+    });
+  });
+
+  // Perform tests on the accrual and spending of points.
+  context('with a point emission schedule', async function () {
+    const POINT_RATE = 10;
+    beforeEach(async function () {
+      await staker.connect(alice.signer).setPointEmissions([
+        { timestamp: emissionStart, rate: POINT_RATE }
+      ]);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart
+      ]);
+      await staker.connect(bob.signer).deposit(0, [ 1 ]);
+    });
+
+    // Points should accrue alongside tokens.
+    it('accrues points to stakers', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 10
+      ]);
+      await ethers.provider.send('evm_mine');
+      let pendingPoints = await staker.getPendingPoints(0, bob.address);
+      pendingPoints.should.be.equal(POINT_RATE * 10);
+
+      // Claiming credits points to Bob's balance.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 20
+      ]);
+      await expect(
+        staker.connect(bob.signer).claim(0)
+      ).to.emit(staker, 'PointsAccrued');
+      let bobPoints = await staker.userPoints(bob.address);
+      bobPoints.should.be.equal(POINT_RATE * 20);
+    });
+
+    // Only approved spenders may spend points.
+    it('allows approved spenders to spend points', async function () {
+      await expect(
+        staker.connect(dev.signer).spendPoints(bob.address, 1)
+      ).to.be.revertedWith('CannotSpendPointsAsUnapprovedSpender()');
+      await staker.connect(alice.signer).setPointSpender(dev.address, true);
+
+      // Pending points are credited before they are spent.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 10
+      ]);
+      await expect(
+        staker.connect(dev.signer).spendPoints(bob.address, POINT_RATE * 4)
+      ).to.emit(staker, 'PointsSpent');
+      let bobPoints = await staker.userPoints(bob.address);
+      bobPoints.should.be.equal(POINT_RATE * 6);
+      await expect(
+        staker.connect(dev.signer).spendPoints(bob.address, POINT_RATE * 100)
+      ).to.be.revertedWith('CannotSpendInsufficientPoints()');
+    });
+  });
+
+  // Perform tests on pools with additional reward tokens.
+  context('with an additional reward token', async function () {
+    const REWARD_RATE = ethers.utils.parseEther('2');
+    let partnerToken;
+    beforeEach(async function () {
+      partnerToken = await MockERC20.connect(alice.signer).deploy(
+        'Partner',
+        'PTR',
+        SUPPLY
+      );
+      await partnerToken.deployed();
+      await partnerToken.connect(alice.signer).transfer(staker.address,
+        RESERVOIR);
+
+      // Attach the partner token to the staker.
+      await staker.connect(alice.signer).addRewardToken(partnerToken.address);
+      await staker.connect(alice.signer).setRewardEmissions(0, [
+        { timestamp: emissionStart, rate: REWARD_RATE }
+      ]);
+      await staker.connect(alice.signer).setRewardStrength(0, 0, 1);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart
+      ]);
+      await staker.connect(bob.signer).deposit(0, [ 1 ]);
+    });
+
+    // Every reward stream of the pool should be listed.
+    it('lists the reward streams of a pool', async function () {
+      let poolRewards = await staker.getPoolRewards(0);
+      poolRewards.length.should.be.equal(2);
+      poolRewards[0].token.should.be.equal(token.address);
+      poolRewards[1].token.should.be.equal(partnerToken.address);
+      poolRewards[1].strength.should.be.equal(1);
+    });
+
+    // Claiming should pay every reward token.
+    it('pays every reward token', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 10
+      ]);
+      await ethers.provider.send('evm_mine');
+      let pending = await staker.getAllPendingRewards(0, bob.address);
+      pending[0].should.be.equal(EMISSION_RATE.mul(10));
+      pending[1].should.be.equal(REWARD_RATE.mul(10));
+
+      // Bob withdraws and receives both reward tokens.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 20
+      ]);
+      await staker.connect(bob.signer).withdraw(0, [ 1 ]);
+      let bobBalance = await token.balanceOf(bob.address);
+      bobBalance.should.be.equal(EMISSION_RATE.mul(20));
+      let bobPartnerBalance = await partnerToken.balanceOf(bob.address);
+      bobPartnerBalance.should.be.equal(REWARD_RATE.mul(20));
+    });
+
+    // Only existing reward tokens may be configured.
+    it('rejects configuring nonexistent reward tokens', async function () {
+      await expect(
+        staker.connect(alice.signer).setRewardStrength(1, 0, 1)
+      ).to.be.revertedWith('CannotConfigureNonexistentRewardToken()');
+    });
+  });
+
+  // Perform tests on updating emission schedules and pool strengths.
+  context('when updating emissions', async function () {
+    beforeEach(async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart
+      ]);
+      await staker.connect(bob.signer).deposit(0, [ 1 ]);
+    });
+
+    // Invalid schedules should be rejected.
+    it('rejects unsorted or retroactive schedules', async function () {
+      await expect(
+        staker.connect(alice.signer).setEmissions([])
+      ).to.be.revertedWith('CannotHaveEmptyEmissionSchedule()');
+      await expect(
+        staker.connect(alice.signer).setEmissions([
+          { timestamp: emissionStart + 200, rate: EMISSION_RATE },
+          { timestamp: emissionStart + 100, rate: EMISSION_RATE }
+        ])
+      ).to.be.revertedWith('CannotHaveUnsortedEmissionSchedule()');
+      await expect(
+        staker.connect(alice.signer).setEmissions([
+          { timestamp: emissionStart - 20, rate: EMISSION_RATE },
+          { timestamp: emissionStart - 10, rate: EMISSION_RATE }
+        ])
+      ).to.be.revertedWith('CannotRewriteEmissionHistory()');
+    });
+
+    // Changing the schedule should not change rewards that already accrued.
+    it('preserves rewards accrued under an old schedule', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 10
+      ]);
+      await expect(
+        staker.connect(alice.signer).setEmissions([
+          { timestamp: emissionStart, rate: EMISSION_RATE.mul(3) }
+        ])
+      ).to.emit(staker, 'EmissionsSet');
+      let blockCount = await staker.tokenEmissionBlockCount();
+      blockCount.should.be.equal(1);
+
+      // Adding a second pool should not change rewards that already accrued.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 20
+      ]);
+      await expect(
+        staker.connect(alice.signer).setPool(1, 1, item.address, 0, 0)
+      ).to.emit(staker, 'StrengthSet');
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 30
+      ]);
+      await ethers.provider.send('evm_mine');
+
+      /*
+        Bob earned one token per second for ten seconds, three per second for
+        ten seconds, and half of three per second for ten seconds.
+      */
+      let bobPending = await staker.getPendingTokens(0, bob.address);
+      bobPending.should.be.equal(EMISSION_RATE.mul(55));
+    });
+
+    // Pools may all be disabled and then re-enabled.
+    it('allows every pool to have zero strength', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 5
+      ]);
+      await staker.connect(carol.signer).deposit(0, [ 4 ]);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 10
+      ]);
+      await staker.connect(alice.signer).setPool(0, 0, item.address, 0, 0);
+      let totalStrength = await staker.totalTokenStrength();
+      totalStrength.should.be.equal(0);
+
+      // Bob keeps the rewards accrued before the pool was disabled.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 20
+      ]);
+      await staker.connect(bob.signer).withdraw(0, [ 1 ]);
+      let bobBalance = await token.balanceOf(bob.address);
+      bobBalance.should.be.equal(ethers.utils.parseEther('7.5'));
+
+      // The pool may be re-enabled and earns rewards again.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 30
+      ]);
+      await staker.connect(alice.signer).setPool(0, 1, item.address, 0, 0);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 50
+      ]);
+      await ethers.provider.send('evm_mine');
+      let carolPending = await staker.getPendingTokens(0, carol.address);
+      carolPending.should.be.equal(ethers.utils.parseEther('22.5'));
+    });
+  });
+
+  // Perform tests on pausing and emergency withdrawals.
+  context('when paused', async function () {
+    const LOCK_DURATION = 1000;
+    beforeEach(async function () {
+      await staker.connect(alice.signer).setPool(0, 1, item.address,
+        LOCK_DURATION, 0);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart
+      ]);
+      await staker.connect(bob.signer).deposit(0, [ 1, 2 ]);
+    });
+
+    // Paused pools should reject deposits and stop emitting rewards.
+    it('halts deposits and emissions', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 10
+      ]);
+      await expect(
+        staker.connect(alice.signer).setPoolPaused(0, true)
+      ).to.emit(staker, 'PoolPauseSet');
+      let isPaused = await staker.isPaused(0);
+      isPaused.should.be.equal(true);
+      await expect(
+        staker.connect(carol.signer).deposit(0, [ 4 ])
+      ).to.be.revertedWith('CannotDepositPausedPool()');
+
+      // Rewards stop while the pool is paused and resume once unpaused.
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 50
+      ]);
+      await staker.connect(alice.signer).setPoolPaused(0, false);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 51
+      ]);
+      await expect(
+        staker.connect(alice.signer).setPaused(true)
+      ).to.emit(staker, 'PauseSet');
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 60
+      ]);
+      await staker.connect(alice.signer).setPaused(false);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 69
+      ]);
+      await ethers.provider.send('evm_mine');
+
+      /*
+        Bob earned rewards for ten seconds before the pool was paused, for one
+        second between pauses, and for nine seconds after the final unpause.
+      */
+      let bobPending = await staker.getPendingTokens(0, bob.address);
+      bobPending.should.be.equal(EMISSION_RATE.mul(20));
+    });
+
+    // Emergency withdrawals should ignore locks and abandon rewards.
+    it('allows emergency withdrawals', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 100
+      ]);
+      await expect(
+        staker.connect(bob.signer).emergencyWithdraw(0)
+      ).to.emit(staker, 'EmergencyWithdraw');
+      let locked = await item.transferLocks(1);
+      locked.should.be.equal(false);
+      let pool = await staker.pools(0);
+      pool.amount.should.be.equal(0);
+      let position = await staker.positions(0, bob.address);
+      position.amount.should.be.equal(0);
+      let stakedIds = await staker.getStakedIds(0, bob.address);
+      stakedIds.length.should.be.equal(0);
+      let bobPending = await staker.getPendingTokens(0, bob.address);
+      bobPending.should.be.equal(0);
+      let bobBalance = await token.balanceOf(bob.address);
+      bobBalance.should.be.equal(0);
+
+      // Bob may deposit his items again.
+      await staker.connect(bob.signer).deposit(0, [ 1 ]);
+      position = await staker.positions(0, bob.address);
+      position.amount.should.be.equal(1);
+    });
+
+    // Emergency withdrawals should not change the rewards of other stakers.
+    it('keeps the rewards of remaining stakers', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 10
+      ]);
+      await staker.connect(carol.signer).deposit(0, [ 4 ]);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 40
+      ]);
+      await staker.connect(bob.signer).emergencyWithdraw(0);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 50
+      ]);
+      await ethers.provider.send('evm_mine');
+
+      /*
+        Carol earned a third of the tokens for thirty seconds alongside Bob and
+        every token for ten seconds after Bob left.
+      */
+      let carolPending = await staker.getPendingTokens(0, carol.address);
+      carolPending.should.be.equal(EMISSION_RATE.mul(20));
+    });
+  });
+
+  // Perform tests on items with differing staking weights.
+  context('with weighted items', async function () {
+    let weightTree;
+    beforeEach(async function () {
+      await staker.connect(alice.signer).setItemWeights(0, [ 4 ], [ 3 ]);
+      weightTree = new HashTree({ '1': 2, '2': 5 }, { keyType: 'uint256' });
+      await expect(
+        staker.connect(alice.signer)
+          .setWeightRoot(0, weightTree.rootHash, false)
+      ).to.emit(staker, 'WeightRootSet');
+    });
+
+    // Rewards should be shared in proportion to the weight of staked items.
+    it('shares rewards by item weight', async function () {
+      let index = weightTree.getIndex('1');
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart
+      ]);
+      await staker.connect(bob.signer).depositWithProofs(0, [{
+        tokenId: 1,
+        index: index,
+        weight: 2,
+        proof: weightTree.getProof(index)
+      }]);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 10
+      ]);
+      await staker.connect(carol.signer).deposit(0, [ 4, 5 ]);
+      let stakedItem = await staker.stakedItems(0, 4);
+      stakedItem.weight.should.be.equal(3);
+      let pool = await staker.pools(0);
+      pool.amount.should.be.equal(6);
+      await ethers.provider.send('evm_setNextBlockTimestamp', [
+        emissionStart + 70
+      ]);
+      await ethers.provider.send('evm_mine');
+
+      /*
+        Bob earned every token for ten seconds and a third of the tokens for
+        sixty seconds; Carol earned the remaining two thirds.
+      */
+      let bobPending = await staker.getPendingTokens(0, bob.address);
+      bobPending.should.be.equal(EMISSION_RATE.mul(30));
+      let carolPending = await staker.getPendingTokens(0, carol.address);
+      carolPending.should.be.equal(EMISSION_RATE.mul(40));
+
+      // Withdrawing removes the recorded weight of the item.
+      await staker.connect(bob.signer).withdraw(0, [ 1 ]);
+      pool = await staker.pools(0);
+      pool.amount.should.be.equal(4);
+    });
+
+    // Weights may be proven against a sorted merkle tree.
+    it('accepts weights proven against a sorted tree', async function () {
+      let sortedTree = new HashTree({ '1': 2, '2': 5 }, {
+        keyType: 'uint256',
+        sorted: true
+      });
+      await staker.connect(alice.signer).setWeightRoot(0, sortedTree.rootHash,
+        true);
+      let index = sortedTree.getIndex('2');
+      await staker.connect(bob.signer).depositWithProofs(0, [{
+        tokenId: 2,
+        index: index,
+        weight: 5,
+        proof: sortedTree.getProof(index)
+      }]);
+      let position = await staker.positions(0, bob.address);
+      position.amount.should.be.equal(5);
+    });
+
+    // Deposits with invalid weight proofs should be rejected.
+    it('rejects invalid weight proofs', async function () {
+      let index = weightTree.getIndex('2');
+      await expect(
+        staker.connect(bob.signer).depositWithProofs(0, [{
+          tokenId: 2,
+          index: index,
+          weight: 10,
+          proof: weightTree.getProof(index)
+        }])
+      ).to.be.revertedWith('CannotVerifyItemWeight()');
+      await expect(
+        staker.connect(alice.signer).setItemWeights(0, [ 1, 2 ], [ 1 ])
+      ).to.be.revertedWith('CannotSetItemWeightsWithMismatchedLengths()');
+    });
+  });
+});
@@ -253,8 +253,8 @@ describe('Tiny721', function() {
         });
 
         /*
-          The item contract does must not support burning (token ownership by
-          the zero address) due to the sparse ownership list gas optimization.
+          Transfers to the zero address are rejected; tokens may only be burnt
+          through the dedicated burning functions.
         */
         it('rejects transfer to zero address', async function() {
           args[0] = bob.address;
@@ -309,6 +309,119 @@ describe('Tiny721', function() {
     });
   });
 
+  // Test burning tokens and the supply accounting around burnt tokens.
+  context('burn', async function() {
+    beforeEach(async function() {
+      await tiny721.connect(alice.signer).mint_Qgo(bob.address, 3);
+      await tiny721.connect(alice.signer).mint_Qgo(carol.address, 2);
+    });
+
+    it('allows holders to burn their tokens', async function() {
+      const burn = await tiny721.connect(bob.signer).burn(2);
+      await expect(burn).to
+        .emit(tiny721, 'Transfer')
+        .withArgs(bob.address, ethers.constants.AddressZero, 2);
+      await expect(
+        tiny721.ownerOf(2)
+      ).to.be.revertedWith('OwnerQueryForNonexistentToken');
+      (await tiny721._exists(2)).should.be.equal(false);
+      (await tiny721.balanceOf(bob.address)).should.be.equal(2);
+
+      // The neighbors of the burnt token keep their owners.
+      (await tiny721.ownerOf(1)).should.be.equal(bob.address);
+      (await tiny721.ownerOf(3)).should.be.equal(bob.address);
+      (await tiny721.ownerOf(4)).should.be.equal(carol.address);
+      (await tiny721.totalSupply()).should.be.equal(4);
+      (await tiny721.totalMinted()).should.be.equal(5);
+      (await tiny721.totalBurned()).should.be.equal(1);
+    });
+
+    it('allows approved addresses to burn tokens', async function() {
+      await tiny721.connect(bob.signer).approve(dev.address, 1);
+      await tiny721.connect(carol.signer).setApprovalForAll(dev.address, true);
+      await tiny721.connect(dev.signer).burn(1);
+      await tiny721.connect(dev.signer).burn(5);
+      (await tiny721.ownerOf(2)).should.be.equal(bob.address);
+      (await tiny721.ownerOf(4)).should.be.equal(carol.address);
+      (await tiny721.totalSupply()).should.be.equal(3);
+    });
+
+    it('rejects burns by unapproved callers', async function() {
+      await expect(
+        tiny721.connect(carol.signer).burn(1)
+      ).to.be.revertedWith('BurnCallerNotOwnerNorApproved');
+      await expect(
+        tiny721.connect(bob.signer).adminBurn(4)
+      ).to.be.revertedWith('NotAnAdmin');
+      await tiny721.connect(bob.signer).burn(1);
+      await expect(
+        tiny721.connect(bob.signer).burn(1)
+      ).to.be.revertedWith('OwnerQueryForNonexistentToken');
+    });
+
+    it('allows administrators to burn tokens', async function() {
+      await tiny721.connect(alice.signer).setAdmin(dev.address, true);
+      await tiny721.connect(dev.signer).adminBurn(3);
+      await tiny721.connect(alice.signer).adminBurn(4);
+      (await tiny721.ownerOf(5)).should.be.equal(carol.address);
+      (await tiny721.balanceOf(bob.address)).should.be.equal(2);
+      (await tiny721.balanceOf(carol.address)).should.be.equal(1);
+    });
+
+    it('respects transfer locks', async function() {
+      await tiny721.connect(alice.signer).lockTransfer(1, true);
+      await expect(
+        tiny721.connect(bob.signer).burn(1)
+      ).to.be.revertedWith('TransferIsLocked');
+      await tiny721.connect(alice.signer).lockAllTransfers(true);
+      await expect(
+        tiny721.connect(alice.signer).adminBurn(2)
+      ).to.be.revertedWith('TransferIsLockedGlobally');
+    });
+
+    it('enumerates tokens around burnt tokens', async function() {
+      await tiny721.connect(bob.signer).burn(2);
+      await tiny721.connect(carol.signer).burn(4);
+      let ids = [];
+      for (let index = 0; index < 3; index++) {
+        ids.push((await tiny721.tokenByIndex(index)).toNumber());
+      }
+      ids.should.deep.equal([ 1, 3, 5 ]);
+      await expect(
+        tiny721.tokenByIndex(3)
+      ).to.be.revertedWith('TokenIndexOutOfBounds');
+
+      // Tokens are enumerated per owner after burns and transfers.
+      await tiny721.connect(carol.signer).transferFrom(
+        carol.address,
+        bob.address,
+        5
+      );
+      (await tiny721.tokenOfOwnerByIndex(bob.address, 0)).should.be.equal(1);
+      (await tiny721.tokenOfOwnerByIndex(bob.address, 1)).should.be.equal(3);
+      (await tiny721.tokenOfOwnerByIndex(bob.address, 2)).should.be.equal(5);
+      await expect(
+        tiny721.tokenOfOwnerByIndex(carol.address, 0)
+      ).to.be.revertedWith('OwnerIndexOutOfBounds');
+    });
+
+    it('limits lifetime mints by the cap', async function() {
+      let capped = await Tiny721.connect(alice.signer).deploy(
+        NAME,
+        SYMBOL,
+        METADATA_URI,
+        2
+      );
+      await capped.deployed();
+      await capped.connect(alice.signer).mint_Qgo(bob.address, 2);
+      await capped.connect(bob.signer).burn(1);
+      (await capped.totalSupply()).should.be.equal(1);
+      await expect(
+        capped.connect(alice.signer).mint_Qgo(bob.address, 1)
+      ).to.be.revertedWith('CapExceeded');
+    });
+  });
+
   // Test minting tokens.
   context('mint', async function() {
     it('successfully mints a single token', async function() {
@@ -0,0 +1,160 @@
+'use strict';
+
+// Imports.
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import 'chai/register-should';
+import {
+  readWhitelist,
+  validateWhitelist
+} from '../scripts/build-whitelist.js';
+
+/**
+  Describe the whitelist builder testing suite, which checks the parsing and
+  validation of whitelist files before they are built into hash trees.
+*/
+describe('build-whitelist', function () {
+  const ALICE = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+  const BOB = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+  // Write whitelist files into a fresh temporary directory for each test.
+  let directory;
+  beforeEach(async function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'whitelist-'));
+  });
+  afterEach(async function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Write `_contents` to a file named `_name` in the temporary directory.
+  function writeFile (_name, _contents) {
+    let file = path.join(directory, _name);
+    fs.writeFileSync(file, _contents);
+    return file;
+  }
+
+  // Check the reading of whitelist rows from CSV and JSON files.
+  context('when reading whitelists', async function () {
+    it('reads CSV rows with line labels', async function () {
+      let file = writeFile('whitelist.csv', [
+        'address,allowance',
+        '# A comment.',
+        `${ALICE}, 1`,
+        '',
+        `${BOB},2`
+      ].join('\n'));
+      let rows = readWhitelist(file);
+      rows.should.deep.equal([
+        { label: 'Line 3', address: ALICE, allowance: '1', extra: false },
+        { label: 'Line 5', address: BOB, allowance: '2', extra: false }
+      ]);
+    });
+
+    it('reads JSON objects and arrays with entry labels', async function () {
+      let file = writeFile('whitelist.json', JSON.stringify({
+        [ALICE]: 1,
+        [BOB]: '2'
+      }));
+      let rows = readWhitelist(file);
+      rows.should.deep.equal([
+        { label: 'Entry 1', address: ALICE, allowance: 1 },
+        { label: 'Entry 2', address: BOB, allowance: '2' }
+      ]);
+
+      // Arrays may hold either objects or pairs.
+      file = writeFile('entries.json', JSON.stringify([
+        { address: ALICE, allowance: 1 },
+        [ BOB, 2 ]
+      ]));
+      rows = readWhitelist(file);
+      rows.should.deep.equal([
+        { label: 'Entry 1', address: ALICE, allowance: 1 },
+        { label: 'Entry 2', address: BOB, allowance: 2 }
+      ]);
+
+      // Other JSON values are rejected.
+      file = writeFile('invalid.json', '42');
+      (() => readWhitelist(file)).should.throw(
+        'The whitelist JSON must be an object or an array.'
+      );
+    });
+
+    it('builds the same balances from CSV and JSON', async function () {
+      let csv = writeFile('whitelist.csv', `${ALICE},1\n${BOB},2\n`);
+      let json = writeFile('whitelist.json', JSON.stringify([
+        [ ALICE, 1 ],
+        [ BOB, 2 ]
+      ]));
+      let fromCsv = validateWhitelist(readWhitelist(csv));
+      let fromJson = validateWhitelist(readWhitelist(json));
+      fromCsv.errors.should.deep.equal([]);
+      fromJson.errors.should.deep.equal([]);
+      fromCsv.balances.should.deep.equal(fromJson.balances);
+      fromCsv.balances.should.deep.equal({
+        [ALICE.toLowerCase()]: 1,
+        [BOB.toLowerCase()]: 2
+      });
+    });
+  });
+
+  // Check the validation of whitelist rows.
+  context('when validating whitelists', async function () {
+    it('rejects duplicate addresses in any case', async function () {
+      let file = writeFile('whitelist.csv', [
+        `${ALICE},1`,
+        `${ALICE.toLowerCase()},2`,
+        `${BOB},3`
+      ].join('\n'));
+      let { balances, errors } = validateWhitelist(readWhitelist(file));
+      errors.should.deep.equal([
+        `Line 2: duplicate address ${ALICE.toLowerCase()} (first seen at ` +
+        'Line 1).'
+      ]);
+      balances.should.deep.equal({
+        [ALICE.toLowerCase()]: 1,
+        [BOB.toLowerCase()]: 3
+      });
+    });
+
+    it('rejects invalid addresses', async function () {
+      let badChecksum = ALICE.replace('F39', 'f39').replace('aB88', 'AB88');
+      let { errors } = validateWhitelist([
+        { label: 'Entry 1', address: '0x1234', allowance: 1 },
+        { label: 'Entry 2', address: badChecksum, allowance: 1 },
+        { label: 'Entry 3', address: 42, allowance: 1 },
+        { label: 'Entry 4', address: ALICE, allowance: 1, extra: true }
+      ]);
+      errors.should.deep.equal([
+        'Entry 1: invalid address "0x1234".',
+        `Entry 2: invalid address "${badChecksum}".`,
+        'Entry 3: invalid address "42".',
+        'Entry 4: expected only an address and an allowance.'
+      ]);
+    });
+
+    it('rejects allowances which are not positive integers', async function () {
+      let allowances = [ 0, -1, 1.5, '1.5', '-2', '', 'two', null ];
+      for (let allowance of allowances) {
+        let { balances, errors } = validateWhitelist([
+          { label: 'Entry 1', address: ALICE, allowance }
+        ]);
+        errors.should.deep.equal([
+          `Entry 1: invalid allowance "${allowance}".`
+        ]);
+        balances.should.deep.equal({});
+      }
+
+      // Decimal strings and integers are accepted.
+      let { balances, errors } = validateWhitelist([
+        { label: 'Entry 1', address: ALICE, allowance: '7' },
+        { label: 'Entry 2', address: BOB, allowance: 3 }
+      ]);
+      errors.should.deep.equal([]);
+      balances.should.deep.equal({
+        [ALICE.toLowerCase()]: 7,
+        [BOB.toLowerCase()]: 3
+      });
+    });
+  });
+});